@@ -0,0 +1,192 @@
+// Gas constants (in J/(kg K)) of dry air and water vapor.
+const dryAirGasConstant = 287.058;
+const waterVaporGasConstant = 461.495;
+
+// Standard gravity (in m/s^2) used to extrapolate pressure beyond the reported levels.
+const standardGravity = 9.80665;
+
+/* Class storing the state of the atmosphere at a specific altitude. */
+class AtmosphereAtAltitude {
+    /**
+     * The altitude (in meters MSL) of this state.
+     * @private
+     * @type {number}
+     */
+    #altitude = 0;
+
+    /**
+     * Air temperature (in degrees Celsius).
+     * @private
+     * @type {number}
+     */
+    #temperature = 0;
+
+    /**
+     * Air pressure (in hPa).
+     * @private
+     * @type {number}
+     */
+    #pressure = 0;
+
+    /**
+     * Relative humidity (in percent). Null when not reported.
+     * @private
+     * @type {?number}
+     */
+    #relativeHumidity = null;
+
+    /**
+     * Initializes to the provided atmospheric state at the specified altitude.
+     * @param {number} alt - Altitude (in meters MSL).
+     * @param {number} temperature - Air temperature (in degrees Celsius).
+     * @param {number} pressure - Air pressure (in hPa).
+     * @param {?number} [humidity] - Relative humidity (in percent).
+     * @throws {TypeError} Invalid alt/temperature/pressure/humidity.
+     */
+    constructor(alt, temperature, pressure, humidity = null) {
+        if (isNaN(alt)) throw new TypeError(`Invalid atmosphere altitude: ${alt}`);
+        if (isNaN(temperature)) throw new TypeError(`Invalid temperature: ${temperature}`);
+        if (isNaN(pressure) || pressure <= 0) throw new TypeError(`Invalid pressure: ${pressure}`);
+        if (null != humidity && isNaN(humidity)) throw new TypeError(`Invalid relative humidity: ${humidity}`);
+
+        this.#altitude = alt;
+        this.#temperature = temperature;
+        this.#pressure = pressure;
+        this.#relativeHumidity = humidity;
+    }
+
+    /**
+     * Get the altitude of this state.
+     * @type {number}
+     */
+    get altitude() {
+        return this.#altitude;
+    }
+
+    /**
+     * Get the air temperature in degrees Celsius.
+     * @type {number}
+     */
+    get temperature() {
+        return this.#temperature;
+    }
+
+    /**
+     * Get the air pressure in hPa.
+     * @type {number}
+     */
+    get pressure() {
+        return this.#pressure;
+    }
+
+    /**
+     * Get the relative humidity in percent. Null if not known.
+     * @type {?number}
+     */
+    get relativeHumidity() {
+        return this.#relativeHumidity;
+    }
+}
+
+/**
+ * Calculate the density of moist air.
+ * @param {number} temperature - Air temperature (in degrees Celsius).
+ * @param {number} pressure - Air pressure (in hPa).
+ * @param {?number} relativeHumidity - Relative humidity (in percent). Null is treated as dry air.
+ * @returns {number} Air density (in kg/m^3).
+ */
+function calculateAirDensity(temperature, pressure, relativeHumidity) {
+    const absoluteTemperature = temperature + 273.15;
+
+    // Partial pressure of the water vapor from the Magnus saturation vapor pressure (in hPa).
+    let vaporPressure = 0;
+    if (null != relativeHumidity) {
+        const saturationPressure = 6.1078 * Math.exp((17.27 * temperature) / (temperature + 237.3));
+        vaporPressure = Math.min(Math.max(relativeHumidity, 0), 100) / 100.0 * saturationPressure;
+    }
+
+    const dryPressure = pressure - vaporPressure;
+    return ((dryPressure * 100.0) / (dryAirGasConstant * absoluteTemperature)) + ((vaporPressure * 100.0) / (waterVaporGasConstant * absoluteTemperature));
+}
+
+/**
+ * Estimate the atmosphere at a specific altitude from an ascending list of states. Temperature and
+ * humidity are interpolated linearly while pressure is interpolated logarithmically. Altitudes outside
+ * the list hold the nearest temperature and humidity, with the pressure following an isothermal atmosphere.
+ * @param {Array<AtmosphereAtAltitude>} atmosphereList - States sorted by ascending altitude.
+ * @param {number} altitude - Altitude (in meters MSL) where the state is desired.
+ * @returns {?{temperature: number, pressure: number, relativeHumidity: ?number, density: number}} Estimated state. Null if the list is empty.
+ */
+function interpolateAtmosphere(atmosphereList, altitude) {
+    if (atmosphereList.length < 1) {
+        return null;
+    }
+
+    let temperature = 0;
+    let pressure = 0;
+    let relativeHumidity = null;
+
+    const lowestState = atmosphereList[0];
+    const highestState = atmosphereList[atmosphereList.length - 1];
+    if (altitude <= lowestState.altitude || altitude >= highestState.altitude || atmosphereList.length < 2) {
+        const nearestState = (altitude <= lowestState.altitude) ? lowestState : highestState;
+        const scaleHeight = (dryAirGasConstant * (nearestState.temperature + 273.15)) / standardGravity;
+
+        temperature = nearestState.temperature;
+        pressure = nearestState.pressure * Math.exp(-(altitude - nearestState.altitude) / scaleHeight);
+        relativeHumidity = nearestState.relativeHumidity;
+    } else {
+        let upperIndex = 1;
+        while (atmosphereList[upperIndex].altitude < altitude) {
+            ++upperIndex;
+        }
+
+        const lowerState = atmosphereList[upperIndex - 1];
+        const upperState = atmosphereList[upperIndex];
+        const bandRatio = (altitude - lowerState.altitude) / (upperState.altitude - lowerState.altitude);
+
+        temperature = lowerState.temperature + (bandRatio * (upperState.temperature - lowerState.temperature));
+        pressure = Math.exp(Math.log(lowerState.pressure) + (bandRatio * (Math.log(upperState.pressure) - Math.log(lowerState.pressure))));
+        if (null != lowerState.relativeHumidity && null != upperState.relativeHumidity) {
+            relativeHumidity = lowerState.relativeHumidity + (bandRatio * (upperState.relativeHumidity - lowerState.relativeHumidity));
+        }
+    }
+
+    return {
+        temperature: temperature,
+        pressure: pressure,
+        relativeHumidity: relativeHumidity,
+        density: calculateAirDensity(temperature, pressure, relativeHumidity),
+    };
+}
+
+/**
+ * Estimate the atmosphere at a specific altitude as the mean of several lists of states
+ * (Ex: every ensemble member or hour of a launch window).
+ * @param {Array<Array<AtmosphereAtAltitude>>} atmosphereLists - Lists of states sorted by ascending altitude.
+ * @param {number} altitude - Altitude (in meters MSL) where the state is desired.
+ * @returns {?{temperature: number, pressure: number, relativeHumidity: ?number, density: number}} Mean state. Null if no list contains data.
+ */
+function averageAtmosphere(atmosphereLists, altitude) {
+    const states = atmosphereLists.map((atmosphereList) => interpolateAtmosphere(atmosphereList, altitude)).filter((state) => null != state);
+    if (states.length < 1) {
+        return null;
+    }
+
+    const getMean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    // Humidity is only reported when every state has it.
+    let relativeHumidity = null;
+    if (states.every((state) => null != state.relativeHumidity)) {
+        relativeHumidity = getMean(states.map((state) => state.relativeHumidity));
+    }
+
+    return {
+        temperature: getMean(states.map((state) => state.temperature)),
+        pressure: getMean(states.map((state) => state.pressure)),
+        relativeHumidity: relativeHumidity,
+        density: getMean(states.map((state) => state.density)),
+    };
+}
+
+export { AtmosphereAtAltitude, averageAtmosphere };
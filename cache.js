@@ -0,0 +1,129 @@
+import { IndexedDBStore } from "./store.js";
+
+/* Stores downloaded wind forecasts in IndexedDB so they remain available without a network connection. */
+class ForecastCache {
+    /**
+     * Name of the IndexedDB database and object store holding the forecasts.
+     * @private
+     * @type {string}
+     */
+    static #storeName = 'ORWind_Forecasts';
+
+    /**
+     * Maximum number of forecasts kept before the oldest are removed.
+     * @private
+     * @type {number}
+     */
+    static #maxRecords = 50;
+
+    /**
+     * Object store holding the forecasts by key, indexed by download time.
+     * @private
+     * @type {IndexedDBStore}
+     */
+    #store = new IndexedDBStore(ForecastCache.#storeName, 'key', 'forecast cache', ['fetchedAt']);
+
+    /**
+     * Generate the key identifying a forecast by its site, launch window and model.
+     * @param {GeoLocation} launchLocation - Coordinates of the launch site.
+     * @param {string} startTime - Launch window start in ISO 8601 format.
+     * @param {string} endTime - Launch window end in ISO 8601 format.
+     * @param {string} modelName - Description of the forecast source and model(s).
+     * @returns {string} Cache key.
+     */
+    static createKey(launchLocation, startTime, endTime, modelName) {
+        return `${launchLocation.latitude.toFixed(4)},${launchLocation.longitude.toFixed(4)}|${startTime}|${endTime}|${modelName}`;
+    }
+
+    /**
+     * Open (and create if necessary) the forecast database.
+     * @returns {Promise<boolean>} True if the database is ready. False if IndexedDB is unavailable.
+     */
+    async open() {
+        return this.#store.open();
+    }
+
+    /**
+     * Store a forecast, replacing any existing forecast with the same key.
+     * @param {object} record - Forecast record containing at least a key and fetchedAt time.
+     * @returns {Promise<boolean>} True if the forecast was stored.
+     */
+    async put(record) {
+        if (!await this.open()) {
+            return false;
+        }
+
+        try {
+            await this.#store.runRequest('readwrite', (objectStore) => objectStore.put(record));
+        } catch (error) {
+            console.error(error);
+            return false;
+        }
+
+        // Keep the database from growing without bound by removing the oldest forecasts.
+        const records = await this.list();
+        for (const oldRecord of records.slice(ForecastCache.#maxRecords)) {
+            await this.delete(oldRecord.key);
+        }
+
+        return true;
+    }
+
+    /**
+     * Retrieve a single forecast.
+     * @param {string} key - Key created by ForecastCache.createKey().
+     * @returns {Promise<object>} The stored forecast record. Null if not found.
+     */
+    async get(key) {
+        if (!await this.open()) {
+            return null;
+        }
+
+        try {
+            const record = await this.#store.runRequest('readonly', (objectStore) => objectStore.get(key));
+            return (undefined === record) ? null : record;
+        } catch (error) {
+            console.error(error);
+            return null;
+        }
+    }
+
+    /**
+     * Retrieve every stored forecast.
+     * @returns {Promise<Array<object>>} Forecast records ordered from newest to oldest.
+     */
+    async list() {
+        if (!await this.open()) {
+            return [];
+        }
+
+        try {
+            const records = await this.#store.runRequest('readonly', (objectStore) => objectStore.getAll());
+            return records.sort((recordA, recordB) => recordB.fetchedAt - recordA.fetchedAt);
+        } catch (error) {
+            console.error(error);
+            return [];
+        }
+    }
+
+    /**
+     * Remove a stored forecast.
+     * @param {string} key - Key of the forecast to be removed.
+     * @returns {Promise<boolean>} True if the forecast was removed.
+     */
+    async delete(key) {
+        if (!await this.open()) {
+            return false;
+        }
+
+        try {
+            await this.#store.runRequest('readwrite', (objectStore) => objectStore.delete(key));
+            return true;
+        } catch (error) {
+            console.error(error);
+            return false;
+        }
+    }
+}
+
+export { ForecastCache };
\ No newline at end of file
@@ -0,0 +1,293 @@
+import { GeoLocation } from "./geo.js";
+
+// UTM scale factor along the central meridian, false easting, and false northing (in meters) of the southern hemisphere.
+const utmScaleFactor = 0.9996;
+const utmFalseEasting = 500000.0;
+const utmFalseNorthing = 10000000.0;
+
+// WGS-84 ellipsoid: semi-major axis (in meters) and flattening.
+const wgs84SemiMajorAxis = 6378137.0;
+const wgs84Flattening = 1 / 298.257223563;
+
+// Latitude bands of UTM and MGRS, each 8 degrees tall starting at 80 degrees South (X is 12 degrees tall).
+const latitudeBands = 'CDEFGHJKLMNPQRSTUVWX';
+
+// MGRS 100 km square column letters, repeating every three zones, and row letters.
+const mgrsColumnLetters = ['STUVWXYZ', 'ABCDEFGH', 'JKLMNPQR'];
+const mgrsRowLetters = 'ABCDEFGHJKLMNPQRSTUV';
+
+// Conversion factors between degrees and radians.
+const toRadians = Math.PI / 180.0;
+const toDegrees = 180.0 / Math.PI;
+
+// Third flattening and the Krüger series coefficients used to project to and from UTM (Karney, 2011).
+const thirdFlattening = wgs84Flattening / (2 - wgs84Flattening);
+const rectifyingRadius = (wgs84SemiMajorAxis / (1 + thirdFlattening)) *
+                         (1 + (Math.pow(thirdFlattening, 2) / 4) + (Math.pow(thirdFlattening, 4) / 64));
+const krugerAlpha = [
+    (thirdFlattening / 2) - ((2 / 3) * Math.pow(thirdFlattening, 2)) + ((5 / 16) * Math.pow(thirdFlattening, 3)),
+    ((13 / 48) * Math.pow(thirdFlattening, 2)) - ((3 / 5) * Math.pow(thirdFlattening, 3)),
+    (61 / 240) * Math.pow(thirdFlattening, 3),
+];
+const krugerBeta = [
+    (thirdFlattening / 2) - ((2 / 3) * Math.pow(thirdFlattening, 2)) + ((37 / 96) * Math.pow(thirdFlattening, 3)),
+    ((1 / 48) * Math.pow(thirdFlattening, 2)) + ((1 / 15) * Math.pow(thirdFlattening, 3)),
+    (17 / 480) * Math.pow(thirdFlattening, 3),
+];
+const krugerDelta = [
+    (2 * thirdFlattening) - ((2 / 3) * Math.pow(thirdFlattening, 2)) - (2 * Math.pow(thirdFlattening, 3)),
+    ((7 / 3) * Math.pow(thirdFlattening, 2)) - ((8 / 5) * Math.pow(thirdFlattening, 3)),
+    (56 / 15) * Math.pow(thirdFlattening, 3),
+];
+
+/**
+ * Read a single latitude or longitude. Accepts decimal degrees (Ex: -97.495914), degrees and decimal
+ * minutes (Ex: 30 36.878), or degrees, minutes, and seconds (Ex: 30°36'52.7"N), with the hemisphere
+ * given by a sign or by a letter before or after the value.
+ * @param {string} text - Coordinate entered by the user.
+ * @param {string} axis - 'latitude' or 'longitude'.
+ * @returns {number} The coordinate (in degrees). NaN if the text is not a valid coordinate for the axis.
+ */
+function parseCoordinate(text, axis) {
+    let coordinateText = `${text ?? ''}`.trim().toUpperCase();
+
+    // Only the hemisphere letters of the requested axis are accepted.
+    const hemispheres = ('latitude' == axis) ? 'NS' : 'EW';
+    let hemisphere = null;
+    if (coordinateText.length > 0 && hemispheres.includes(coordinateText[0])) {
+        hemisphere = coordinateText[0];
+        coordinateText = coordinateText.slice(1).trim();
+    } else if (coordinateText.length > 0 && hemispheres.includes(coordinateText[coordinateText.length - 1])) {
+        hemisphere = coordinateText[coordinateText.length - 1];
+        coordinateText = coordinateText.slice(0, -1).trim();
+    }
+
+    let sign = 1;
+    if (coordinateText.startsWith('-') || coordinateText.startsWith('+')) {
+        if (null != hemisphere) {
+            return NaN;
+        }
+        sign = coordinateText.startsWith('-') ? -1 : 1;
+        coordinateText = coordinateText.slice(1).trim();
+    }
+    if ('S' == hemisphere || 'W' == hemisphere) {
+        sign = -1;
+    }
+
+    // Degrees, minutes, and seconds are separated by their symbols, colons, or spaces. Only the last part may have a fraction.
+    const parts = coordinateText.split(/[\s°º˚:'′’‘"″”]+/).filter((part) => part.length > 0);
+    if (parts.length < 1 || parts.length > 3 || parts.some((part, partIndex) => !((partIndex == parts.length - 1) ? /^\d+(\.\d+)?$/ : /^\d+$/).test(part))) {
+        return NaN;
+    }
+
+    const [degrees, minutes = 0, seconds = 0] = parts.map((part) => parseFloat(part));
+    if (minutes >= 60 || seconds >= 60) {
+        return NaN;
+    }
+
+    const coordinate = sign * (degrees + (minutes / 60.0) + (seconds / 3600.0));
+    const isValid = ('latitude' == axis) ? GeoLocation.isValidLatitude(coordinate) : GeoLocation.isValidLongitude(coordinate);
+    return isValid ? coordinate : NaN;
+}
+
+/**
+ * Project a latitude onto the central meridian of a UTM zone.
+ * @param {number} latitude - Latitude (in degrees).
+ * @returns {number} Distance (in meters) north of the equator along the central meridian, before any false northing.
+ */
+function getCentralMeridianNorthing(latitude) {
+    const sinLatitude = Math.sin(latitude * toRadians);
+    const eccentricityTerm = (2 * Math.sqrt(thirdFlattening)) / (1 + thirdFlattening);
+    const conformalTangent = Math.sinh(Math.atanh(sinLatitude) - (eccentricityTerm * Math.atanh(eccentricityTerm * sinLatitude)));
+    const xiPrime = Math.atan(conformalTangent);
+
+    let xi = xiPrime;
+    krugerAlpha.forEach((alpha, alphaIndex) => {
+        xi += alpha * Math.sin(2 * (alphaIndex + 1) * xiPrime);
+    });
+
+    return utmScaleFactor * rectifyingRadius * xi;
+}
+
+/**
+ * Convert UTM coordinates to latitude and longitude on the WGS-84 ellipsoid.
+ * @param {number} zone - UTM zone (1 to 60).
+ * @param {boolean} isNorthern - True for the northern hemisphere.
+ * @param {number} easting - Easting (in meters).
+ * @param {number} northing - Northing (in meters).
+ * @returns {?GeoLocation} The location. Null if the coordinates fall outside the zone's valid range.
+ */
+function convertUtmToLocation(zone, isNorthern, easting, northing) {
+    if (zone < 1 || zone > 60 || easting < 100000 || easting > 900000 || northing < 0 || northing > utmFalseNorthing) {
+        return null;
+    }
+
+    const xi = (northing - (isNorthern ? 0 : utmFalseNorthing)) / (utmScaleFactor * rectifyingRadius);
+    const eta = (easting - utmFalseEasting) / (utmScaleFactor * rectifyingRadius);
+
+    let xiPrime = xi;
+    let etaPrime = eta;
+    krugerBeta.forEach((beta, betaIndex) => {
+        const multiple = 2 * (betaIndex + 1);
+        xiPrime -= beta * Math.sin(multiple * xi) * Math.cosh(multiple * eta);
+        etaPrime -= beta * Math.cos(multiple * xi) * Math.sinh(multiple * eta);
+    });
+
+    const conformalLatitude = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+    let latitude = conformalLatitude;
+    krugerDelta.forEach((delta, deltaIndex) => {
+        latitude += delta * Math.sin(2 * (deltaIndex + 1) * conformalLatitude);
+    });
+
+    const centralMeridian = (zone * 6) - 183;
+    let longitude = centralMeridian + (Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime)) * toDegrees);
+    longitude = ((((longitude + 180.0) % 360.0) + 360.0) % 360.0) - 180.0;
+
+    latitude *= toDegrees;
+    if (!GeoLocation.isValidLatitude(latitude) || !GeoLocation.isValidLongitude(longitude)) {
+        return null;
+    }
+
+    return new GeoLocation(latitude, longitude);
+}
+
+/**
+ * Read a UTM coordinate with its latitude band (Ex: 14R 644171 3387859).
+ * @param {string} text - Coordinate entered by the user (upper case).
+ * @returns {?GeoLocation} The location. Null if the text is not a UTM coordinate.
+ */
+function parseUtm(text) {
+    const match = /^(\d{1,2})\s*([C-HJ-NP-X])\s+(\d+(?:\.\d+)?)\s*M?E?\s+(\d+(?:\.\d+)?)\s*M?N?$/.exec(text);
+    if (null == match) {
+        return null;
+    }
+
+    // Bands N and above are north of the equator.
+    return convertUtmToLocation(parseInt(match[1]), match[2] >= 'N', parseFloat(match[3]), parseFloat(match[4]));
+}
+
+/**
+ * Read an MGRS coordinate (Ex: 14RPU4417187859 or 14R PU 44171 87859) at any precision from 10 km to 1 m.
+ * The location returned is the center of the square the reference describes.
+ * @param {string} text - Coordinate entered by the user (upper case).
+ * @returns {?GeoLocation} The location. Null if the text is not an MGRS coordinate.
+ */
+function parseMgrs(text) {
+    const match = /^(\d{1,2})\s*([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d+)\s*(\d*)$/.exec(text);
+    if (null == match) {
+        return null;
+    }
+
+    // The digits split evenly between easting and northing, with or without a space between them.
+    let digits = match[5] + match[6];
+    if (match[6].length > 0 && match[5].length != match[6].length) {
+        return null;
+    }
+    if (digits.length < 2 || digits.length > 10 || (digits.length % 2) != 0) {
+        return null;
+    }
+
+    const zone = parseInt(match[1]);
+    const band = match[2];
+    const columnIndex = mgrsColumnLetters[zone % 3].indexOf(match[3]);
+    let rowIndex = mgrsRowLetters.indexOf(match[4]);
+    if (zone < 1 || zone > 60 || columnIndex < 0) {
+        return null;
+    }
+
+    // Row letters of even zones are offset by five letters.
+    if (0 == (zone % 2)) {
+        rowIndex = (rowIndex + mgrsRowLetters.length - 5) % mgrsRowLetters.length;
+    }
+
+    const precision = digits.length / 2;
+    const squareSize = Math.pow(10, 5 - precision);
+    const easting = ((columnIndex + 1) * 100000) + (parseInt(digits.slice(0, precision)) * squareSize) + (squareSize / 2);
+    let northing = (rowIndex * 100000) + (parseInt(digits.slice(precision)) * squareSize) + (squareSize / 2);
+
+    // Row letters repeat every 2000 km, so the latitude band picks the repetition. Its southern edge is
+    // furthest south along the central meridian, with a little slack for squares straddling the edge.
+    const isNorthern = band >= 'N';
+    const bandLatitude = -80 + (latitudeBands.indexOf(band) * 8);
+    let bandNorthing = getCentralMeridianNorthing(bandLatitude) + (isNorthern ? 0 : utmFalseNorthing) - 100000;
+    while (northing < bandNorthing) {
+        northing += 2000000;
+    }
+
+    return convertUtmToLocation(zone, isNorthern, easting, northing);
+}
+
+/**
+ * Read a complete location. Accepts a latitude and longitude pair in any form parseCoordinate() understands
+ * (Ex: 30°36'52.7"N 97°29'45.3"W or 30.614631, -97.495914), a UTM coordinate, or an MGRS coordinate.
+ * @param {string} text - Location entered by the user.
+ * @returns {?GeoLocation} The location. Null if the text is not recognized.
+ */
+function parseLocation(text) {
+    const locationText = `${text ?? ''}`.trim().toUpperCase();
+    if (locationText.length < 1) {
+        return null;
+    }
+
+    const gridLocation = parseUtm(locationText) ?? parseMgrs(locationText);
+    if (null != gridLocation) {
+        return gridLocation;
+    }
+
+    // Pairs are split at a comma or semicolon, after the latitude's hemisphere letter, before the longitude's, or at a single space.
+    let pairs = [];
+    if (/[,;]/.test(locationText)) {
+        pairs.push(locationText.split(/[,;]/));
+    }
+    const hemisphereMatch = /^(.*?[NS])\s*([EW]?[^NSEW]*[EW]?)$/.exec(locationText) ?? /^([NS]?[^NSEW]*)\s+([EW].*)$/.exec(locationText);
+    if (null != hemisphereMatch) {
+        pairs.push([hemisphereMatch[1], hemisphereMatch[2]]);
+    }
+    const spaceParts = locationText.split(/\s+/);
+    if (2 == spaceParts.length) {
+        pairs.push(spaceParts);
+    }
+
+    for (const pair of pairs) {
+        if (2 != pair.length) {
+            continue;
+        }
+
+        const latitude = parseCoordinate(pair[0], 'latitude');
+        const longitude = parseCoordinate(pair[1], 'longitude');
+        if (!isNaN(latitude) && !isNaN(longitude)) {
+            return new GeoLocation(latitude, longitude);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Write a coordinate as degrees, minutes, and seconds with its hemisphere letter.
+ * @param {number} coordinate - Latitude or longitude (in degrees).
+ * @param {string} axis - 'latitude' or 'longitude'.
+ * @returns {string} The coordinate (Ex: 30°36'52.7"N).
+ */
+function formatCoordinate(coordinate, axis) {
+    const hemisphere = ('latitude' == axis) ? ((coordinate < 0) ? 'S' : 'N') : ((coordinate < 0) ? 'W' : 'E');
+
+    // Round to tenths of a second first so 59.95" carries into the minutes.
+    const tenthsOfSeconds = Math.round(Math.abs(coordinate) * 36000);
+    const degrees = Math.floor(tenthsOfSeconds / 36000);
+    const minutes = Math.floor((tenthsOfSeconds % 36000) / 600);
+    const seconds = (tenthsOfSeconds % 600) / 10;
+
+    return `${degrees}°${minutes.toString().padStart(2, '0')}'${seconds.toFixed(1).padStart(4, '0')}"${hemisphere}`;
+}
+
+/**
+ * Write a location as degrees, minutes, and seconds so the user can confirm how their entry was read.
+ * @param {GeoLocation} location - Location to be written.
+ * @returns {string} The location (Ex: 30°36'52.7"N 97°29'45.3"W).
+ */
+function formatLocation(location) {
+    return `${formatCoordinate(location.latitude, 'latitude')} ${formatCoordinate(location.longitude, 'longitude')}`;
+}
+
+export { parseCoordinate, parseLocation, formatLocation };
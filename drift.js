@@ -0,0 +1,80 @@
+import { GeoLocation } from "./geo.js";
+import { WindAtAltitude } from "./wind.js";
+import { interpolateWind, windToComponents } from "./interpolation.js";
+
+// Altitude step (in meters) used to integrate the descent.
+const driftStep = 10;
+
+/**
+ * Descent of a recovered rocket from apogee to the ground.
+ * @typedef {object} DescentProfile
+ * @property {number} apogee - Apogee (in meters AGL).
+ * @property {number} drogueRate - Descent rate (in m/s) under the drogue, or in free fall without one.
+ * @property {number} mainRate - Descent rate (in m/s) under the main parachute.
+ * @property {number} mainAltitude - Altitude (in meters AGL) the main parachute opens at. Zero descends under the drogue the whole way.
+ */
+
+/**
+ * Predicted landing of a rocket.
+ * @typedef {object} DriftPrediction
+ * @property {GeoLocation} landing - Predicted landing point.
+ * @property {number} distance - Distance (in meters) from the pad to the landing point.
+ * @property {number} bearing - Direction (in degrees from North) from the pad to the landing point.
+ * @property {number} descentTime - Time (in seconds) from apogee to landing.
+ */
+
+/**
+ * Predict where a rocket lands by drifting with the wind while it descends from apogee. The descent is
+ * integrated in 10 m steps with the wind interpolated at the middle of each step. Apogee is assumed to be
+ * directly above the pad.
+ * @param {Array<WindAtAltitude>} windList - Ascending winds with altitudes in meters MSL.
+ * @param {number} groundElevation - Elevation (in meters) of the launch site.
+ * @param {GeoLocation} launchLocation - Coordinates of the pad.
+ * @param {DescentProfile} descentProfile - Apogee, descent rates, and main deployment altitude.
+ * @param {string} [method] - 'linear' or 'cubic'.
+ * @returns {?DriftPrediction} Predicted landing. Null if the wind list is empty.
+ * @throws {TypeError} Invalid apogee or descent rate.
+ */
+function predictDrift(windList, groundElevation, launchLocation, descentProfile, method = 'linear') {
+    const { apogee, drogueRate, mainRate, mainAltitude } = descentProfile;
+    if (isNaN(apogee) || apogee <= 0) throw new TypeError(`Invalid apogee: ${apogee}`);
+    if (isNaN(drogueRate) || drogueRate <= 0) throw new TypeError(`Invalid drogue descent rate: ${drogueRate}`);
+    if (isNaN(mainRate) || mainRate <= 0) throw new TypeError(`Invalid main descent rate: ${mainRate}`);
+
+    if (windList.length < 1) {
+        return null;
+    }
+
+    let east = 0;
+    let north = 0;
+    let descentTime = 0;
+    for (let upperHeight = apogee; upperHeight > 0; upperHeight -= driftStep) {
+        const lowerHeight = Math.max(upperHeight - driftStep, 0);
+        const middleHeight = (upperHeight + lowerHeight) / 2.0;
+
+        // The main parachute only slows the part of the step below its deployment altitude.
+        const descentRate = (middleHeight > mainAltitude) ? drogueRate : mainRate;
+        const stepTime = (upperHeight - lowerHeight) / descentRate;
+
+        const wind = interpolateWind(windList, groundElevation + middleHeight, method);
+        const windComponents = windToComponents(wind.windSpeed, wind.windDirection);
+        east += windComponents.u * stepTime;
+        north += windComponents.v * stepTime;
+        descentTime += stepTime;
+    }
+
+    const distance = Math.hypot(east, north);
+    let bearing = Math.atan2(east, north) * (180.0 / Math.PI);
+    if (bearing < 0.0) {
+        bearing += 360.0;
+    }
+
+    return {
+        landing: launchLocation.getDestination(bearing, distance),
+        distance: distance,
+        bearing: bearing,
+        descentTime: descentTime,
+    };
+}
+
+export { predictDrift };
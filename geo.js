@@ -1,3 +1,37 @@
+// WGS-84 ellipsoid: semi-major axis (in meters) and flattening.
+const wgs84SemiMajorAxis = 6378137.0;
+const wgs84Flattening = 1 / 298.257223563;
+const wgs84SemiMinorAxis = wgs84SemiMajorAxis * (1 - wgs84Flattening);
+
+// Mean radius (in meters) of the Earth used by the spherical calculations.
+const meanEarthRadius = 6371008.8;
+
+// Convergence limit (in radians) and iteration cap of Vincenty's formulae.
+const vincentyTolerance = 1e-12;
+const vincentyIterations = 200;
+
+// Conversion factors between degrees and radians.
+const toRadians = Math.PI / 180.0;
+const toDegrees = 180.0 / Math.PI;
+
+/**
+ * Bring an angle into the range -180 to 180 degrees.
+ * @param {number} angle - Angle (in degrees).
+ * @returns {number} The equivalent angle (in degrees).
+ */
+function wrapLongitude(angle) {
+    return (((angle + 180.0) % 360.0) + 360.0) % 360.0 - 180.0;
+}
+
+/**
+ * Bring an angle into the range 0 to 360 degrees.
+ * @param {number} angle - Angle (in degrees).
+ * @returns {number} The equivalent angle (in degrees).
+ */
+function wrapBearing(angle) {
+    return ((angle % 360.0) + 360.0) % 360.0;
+}
+
 /* Stores the latitude and longitude defining a geograpical location. */
 class GeoLocation {
     /**
@@ -16,31 +50,57 @@ class GeoLocation {
 
     /**
      * Initializes a location using the provided latitude and longitude coordinates.
-     * @param {number} lat - The latitude component of this location.
-     * @param {number} lon - The longitude component of this location.
+     * @param {number} lat - The latitude component of this location (-90 to 90 degrees).
+     * @param {number} lon - The longitude component of this location (-180 to 180 degrees).
      * @throws {TypeError} Invalid coordinate.
      */
     constructor(lat, lon) {
-        if (isNaN(lat)) throw new TypeError(`Invalid latitude: ${lat}`);
-        if (isNaN(lon)) throw new TypeError(`Invalid longitude: ${lon}`);
+        if (!GeoLocation.isValidLatitude(lat)) throw new TypeError(`Invalid latitude: ${lat}`);
+        if (!GeoLocation.isValidLongitude(lon)) throw new TypeError(`Invalid longitude: ${lon}`);
 
         this.#latitude = lat;
         this.#longitude = lon;
     }
 
+    /**
+     * Check that a latitude is a number from -90 to 90 degrees.
+     * @param {number} lat - Latitude to be checked.
+     * @returns {boolean} True if the latitude is valid.
+     */
+    static isValidLatitude(lat) {
+        return typeof lat == 'number' && !isNaN(lat) && lat >= -90.0 && lat <= 90.0;
+    }
+
+    /**
+     * Check that a longitude is a number from -180 to 180 degrees.
+     * @param {number} lon - Longitude to be checked.
+     * @returns {boolean} True if the longitude is valid.
+     */
+    static isValidLongitude(lon) {
+        return typeof lon == 'number' && !isNaN(lon) && lon >= -180.0 && lon <= 180.0;
+    }
+
     /**
      * Latitude component of this location's coordinates.
      * @type {number}
+     * @throws {TypeError} Invalid latitude.
      */
     get latitude() { return this.#latitude; }
-    set latitude(lat) { this.#latitude = lat; }
+    set latitude(lat) {
+        if (!GeoLocation.isValidLatitude(lat)) throw new TypeError(`Invalid latitude: ${lat}`);
+        this.#latitude = lat;
+    }
 
     /**
      * Longitude component of this location's coordinates.
      * @type {number}
+     * @throws {TypeError} Invalid longitude.
      */
     get longitude() { return this.#longitude; }
-    set longitude(lon) { this.#longitude = lon; }
+    set longitude(lon) {
+        if (!GeoLocation.isValidLongitude(lon)) throw new TypeError(`Invalid longitude: ${lon}`);
+        this.#longitude = lon;
+    }
 
     /**
      * Obtain a new object with duplicate data as this one.
@@ -49,6 +109,224 @@ class GeoLocation {
     getCopy() {
         return new GeoLocation(this.#latitude, this.#longitude);
     }
+
+    /**
+     * Calculate the distance to another location along the surface of the Earth.
+     * @param {GeoLocation} other - Location at the end of the path.
+     * @param {boolean} [spherical] - Use the faster spherical Earth instead of the WGS-84 ellipsoid.
+     * @returns {number} Distance (in meters).
+     */
+    distanceTo(other, spherical = false) {
+        return this.#solveInverse(other, spherical).distance;
+    }
+
+    /**
+     * Calculate the direction to start out in to reach another location by the shortest path.
+     * @param {GeoLocation} other - Location at the end of the path.
+     * @param {boolean} [spherical] - Use the faster spherical Earth instead of the WGS-84 ellipsoid.
+     * @returns {number} Initial bearing (in degrees from North, 0 to 360). Zero when both locations are the same.
+     */
+    bearingTo(other, spherical = false) {
+        return this.#solveInverse(other, spherical).bearing;
+    }
+
+    /**
+     * Find the location reached by travelling a distance from this location along the shortest path.
+     * @param {number} bearing - Initial bearing (in degrees from North).
+     * @param {number} distance - Distance (in meters) to travel.
+     * @param {boolean} [spherical] - Use the faster spherical Earth instead of the WGS-84 ellipsoid.
+     * @returns {GeoLocation} The location at the end of the path.
+     * @throws {TypeError} Invalid bearing or distance.
+     */
+    getDestination(bearing, distance, spherical = false) {
+        if (isNaN(bearing)) throw new TypeError(`Invalid bearing: ${bearing}`);
+        if (isNaN(distance)) throw new TypeError(`Invalid distance: ${distance}`);
+
+        return spherical ? this.#getSphericalDestination(bearing, distance) : this.#getVincentyDestination(bearing, distance);
+    }
+
+    /**
+     * Check whether this location lies within a circle on the surface of the Earth (Ex: a waiver).
+     * @param {GeoLocation} center - Center of the circle.
+     * @param {number} radius - Radius (in meters) of the circle.
+     * @param {boolean} [spherical] - Use the faster spherical Earth instead of the WGS-84 ellipsoid.
+     * @returns {boolean} True if this location is inside or on the edge of the circle.
+     */
+    isWithinRadius(center, radius, spherical = false) {
+        return center.distanceTo(this, spherical) <= radius;
+    }
+
+    /**
+     * Solve for the distance and initial bearing to another location. Vincenty's formulae do not converge
+     * for nearly antipodal points, which fall back to the spherical solution.
+     * @private
+     * @param {GeoLocation} other - Location at the end of the path.
+     * @param {boolean} spherical - Use a spherical Earth instead of the WGS-84 ellipsoid.
+     * @returns {{distance: number, bearing: number}} Distance (in meters) and initial bearing (in degrees).
+     */
+    #solveInverse(other, spherical) {
+        if (this.#latitude == other.latitude && this.#longitude == other.longitude) {
+            return { distance: 0, bearing: 0 };
+        }
+
+        if (!spherical) {
+            const solution = this.#solveVincentyInverse(other);
+            if (null != solution) {
+                return solution;
+            }
+        }
+
+        const firstLatitude = this.#latitude * toRadians;
+        const secondLatitude = other.latitude * toRadians;
+        const latitudeDelta = secondLatitude - firstLatitude;
+        const longitudeDelta = (other.longitude - this.#longitude) * toRadians;
+
+        const haversine = Math.pow(Math.sin(latitudeDelta / 2.0), 2) +
+                          (Math.cos(firstLatitude) * Math.cos(secondLatitude) * Math.pow(Math.sin(longitudeDelta / 2.0), 2));
+        const bearing = Math.atan2(Math.sin(longitudeDelta) * Math.cos(secondLatitude),
+                                   (Math.cos(firstLatitude) * Math.sin(secondLatitude)) - (Math.sin(firstLatitude) * Math.cos(secondLatitude) * Math.cos(longitudeDelta)));
+
+        return {
+            distance: 2.0 * meanEarthRadius * Math.asin(Math.min(Math.sqrt(haversine), 1.0)),
+            bearing: wrapBearing(bearing * toDegrees),
+        };
+    }
+
+    /**
+     * Solve Vincenty's inverse problem on the WGS-84 ellipsoid.
+     * @private
+     * @param {GeoLocation} other - Location at the end of the path.
+     * @returns {?{distance: number, bearing: number}} Distance (in meters) and initial bearing (in degrees). Null if the iteration did not converge.
+     */
+    #solveVincentyInverse(other) {
+        const flattening = wgs84Flattening;
+        const longitudeDelta = (other.longitude - this.#longitude) * toRadians;
+        const firstReduced = Math.atan((1 - flattening) * Math.tan(this.#latitude * toRadians));
+        const secondReduced = Math.atan((1 - flattening) * Math.tan(other.latitude * toRadians));
+        const sinFirst = Math.sin(firstReduced);
+        const cosFirst = Math.cos(firstReduced);
+        const sinSecond = Math.sin(secondReduced);
+        const cosSecond = Math.cos(secondReduced);
+
+        let lambda = longitudeDelta;
+        let sinSigma = 0, cosSigma = 0, sigma = 0, cosSquaredAlpha = 0, cosTwoSigmaMid = 0;
+        let converged = false;
+        for (let iteration = 0; iteration < vincentyIterations; ++iteration) {
+            const sinLambda = Math.sin(lambda);
+            const cosLambda = Math.cos(lambda);
+            sinSigma = Math.hypot(cosSecond * sinLambda, (cosFirst * sinSecond) - (sinFirst * cosSecond * cosLambda));
+            if (0 == sinSigma) {
+                return { distance: 0, bearing: 0 };
+            }
+            cosSigma = (sinFirst * sinSecond) + (cosFirst * cosSecond * cosLambda);
+            sigma = Math.atan2(sinSigma, cosSigma);
+
+            const sinAlpha = (cosFirst * cosSecond * sinLambda) / sinSigma;
+            cosSquaredAlpha = 1 - (sinAlpha * sinAlpha);
+
+            // Both points on the equator leave cos²α at zero.
+            cosTwoSigmaMid = (0 != cosSquaredAlpha) ? (cosSigma - ((2 * sinFirst * sinSecond) / cosSquaredAlpha)) : 0;
+
+            const c = (flattening / 16) * cosSquaredAlpha * (4 + (flattening * (4 - (3 * cosSquaredAlpha))));
+            const previousLambda = lambda;
+            lambda = longitudeDelta + ((1 - c) * flattening * sinAlpha *
+                     (sigma + (c * sinSigma * (cosTwoSigmaMid + (c * cosSigma * (-1 + (2 * cosTwoSigmaMid * cosTwoSigmaMid)))))));
+            if (Math.abs(lambda - previousLambda) < vincentyTolerance) {
+                converged = true;
+                break;
+            }
+        }
+
+        if (!converged) {
+            return null;
+        }
+
+        const uSquared = cosSquaredAlpha * ((wgs84SemiMajorAxis * wgs84SemiMajorAxis) - (wgs84SemiMinorAxis * wgs84SemiMinorAxis)) / (wgs84SemiMinorAxis * wgs84SemiMinorAxis);
+        const a = 1 + ((uSquared / 16384) * (4096 + (uSquared * (-768 + (uSquared * (320 - (175 * uSquared)))))));
+        const b = (uSquared / 1024) * (256 + (uSquared * (-128 + (uSquared * (74 - (47 * uSquared))))));
+        const sigmaDelta = b * sinSigma * (cosTwoSigmaMid + ((b / 4) * ((cosSigma * (-1 + (2 * cosTwoSigmaMid * cosTwoSigmaMid))) -
+                           ((b / 6) * cosTwoSigmaMid * (-3 + (4 * sinSigma * sinSigma)) * (-3 + (4 * cosTwoSigmaMid * cosTwoSigmaMid))))));
+
+        const bearing = Math.atan2(cosSecond * Math.sin(lambda), (cosFirst * sinSecond) - (sinFirst * cosSecond * Math.cos(lambda)));
+
+        return {
+            distance: wgs84SemiMinorAxis * a * (sigma - sigmaDelta),
+            bearing: wrapBearing(bearing * toDegrees),
+        };
+    }
+
+    /**
+     * Travel along a great circle of a spherical Earth.
+     * @private
+     * @param {number} bearing - Initial bearing (in degrees from North).
+     * @param {number} distance - Distance (in meters) to travel.
+     * @returns {GeoLocation} The location at the end of the path.
+     */
+    #getSphericalDestination(bearing, distance) {
+        const angularDistance = distance / meanEarthRadius;
+        const bearingRadians = bearing * toRadians;
+        const startLatitude = this.#latitude * toRadians;
+
+        const endLatitude = Math.asin((Math.sin(startLatitude) * Math.cos(angularDistance)) +
+                                      (Math.cos(startLatitude) * Math.sin(angularDistance) * Math.cos(bearingRadians)));
+        const longitudeDelta = Math.atan2(Math.sin(bearingRadians) * Math.sin(angularDistance) * Math.cos(startLatitude),
+                                          Math.cos(angularDistance) - (Math.sin(startLatitude) * Math.sin(endLatitude)));
+
+        return new GeoLocation(Math.max(-90.0, Math.min(90.0, endLatitude * toDegrees)), wrapLongitude(this.#longitude + (longitudeDelta * toDegrees)));
+    }
+
+    /**
+     * Solve Vincenty's direct problem on the WGS-84 ellipsoid.
+     * @private
+     * @param {number} bearing - Initial bearing (in degrees from North).
+     * @param {number} distance - Distance (in meters) to travel.
+     * @returns {GeoLocation} The location at the end of the path.
+     */
+    #getVincentyDestination(bearing, distance) {
+        const flattening = wgs84Flattening;
+        const alpha = bearing * toRadians;
+        const sinAlphaStart = Math.sin(alpha);
+        const cosAlphaStart = Math.cos(alpha);
+
+        const tanReduced = (1 - flattening) * Math.tan(this.#latitude * toRadians);
+        const cosReduced = 1 / Math.sqrt(1 + (tanReduced * tanReduced));
+        const sinReduced = tanReduced * cosReduced;
+
+        const sigmaStart = Math.atan2(tanReduced, cosAlphaStart);
+        const sinAlpha = cosReduced * sinAlphaStart;
+        const cosSquaredAlpha = 1 - (sinAlpha * sinAlpha);
+        const uSquared = cosSquaredAlpha * ((wgs84SemiMajorAxis * wgs84SemiMajorAxis) - (wgs84SemiMinorAxis * wgs84SemiMinorAxis)) / (wgs84SemiMinorAxis * wgs84SemiMinorAxis);
+        const a = 1 + ((uSquared / 16384) * (4096 + (uSquared * (-768 + (uSquared * (320 - (175 * uSquared)))))));
+        const b = (uSquared / 1024) * (256 + (uSquared * (-128 + (uSquared * (74 - (47 * uSquared))))));
+
+        let sigma = distance / (wgs84SemiMinorAxis * a);
+        let sinSigma = 0, cosSigma = 0, cosTwoSigmaMid = 0;
+        for (let iteration = 0; iteration < vincentyIterations; ++iteration) {
+            cosTwoSigmaMid = Math.cos((2 * sigmaStart) + sigma);
+            sinSigma = Math.sin(sigma);
+            cosSigma = Math.cos(sigma);
+            const sigmaDelta = b * sinSigma * (cosTwoSigmaMid + ((b / 4) * ((cosSigma * (-1 + (2 * cosTwoSigmaMid * cosTwoSigmaMid))) -
+                               ((b / 6) * cosTwoSigmaMid * (-3 + (4 * sinSigma * sinSigma)) * (-3 + (4 * cosTwoSigmaMid * cosTwoSigmaMid))))));
+            const previousSigma = sigma;
+            sigma = (distance / (wgs84SemiMinorAxis * a)) + sigmaDelta;
+            if (Math.abs(sigma - previousSigma) < vincentyTolerance) {
+                break;
+            }
+        }
+
+        cosTwoSigmaMid = Math.cos((2 * sigmaStart) + sigma);
+        sinSigma = Math.sin(sigma);
+        cosSigma = Math.cos(sigma);
+
+        const x = (sinReduced * sinSigma) - (cosReduced * cosSigma * cosAlphaStart);
+        const endLatitude = Math.atan2((sinReduced * cosSigma) + (cosReduced * sinSigma * cosAlphaStart), (1 - flattening) * Math.hypot(sinAlpha, x));
+        const lambda = Math.atan2(sinSigma * sinAlphaStart, (cosReduced * cosSigma) - (sinReduced * sinSigma * cosAlphaStart));
+        const c = (flattening / 16) * cosSquaredAlpha * (4 + (flattening * (4 - (3 * cosSquaredAlpha))));
+        const longitudeDelta = lambda - ((1 - c) * flattening * sinAlpha *
+                               (sigma + (c * sinSigma * (cosTwoSigmaMid + (c * cosSigma * (-1 + (2 * cosTwoSigmaMid * cosTwoSigmaMid)))))));
+
+        return new GeoLocation(endLatitude * toDegrees, wrapLongitude(this.#longitude + (longitudeDelta * toDegrees)));
+    }
 }
 
-export { GeoLocation };
\ No newline at end of file
+export { GeoLocation };
@@ -0,0 +1,67 @@
+import { WindAtAltitude } from "./wind.js";
+import { interpolateWind } from "./interpolation.js";
+
+// Height (in meters AGL) the surface gusts are reported at.
+const gustReferenceHeight = 10;
+
+// Height (in meters AGL) above which gusts no longer affect the profile.
+const gustTaperHeight = 1000;
+
+// Number of standard deviations a gust is above the mean wind speed.
+const gustPeakFactor = 3.0;
+
+/**
+ * Calculate how much stronger the surface gusts are than the mean surface wind.
+ * @param {Array<WindAtAltitude>} windList - Ascending winds with altitudes in meters MSL.
+ * @param {number} groundElevation - Elevation (in meters) of the launch site.
+ * @param {number} surfaceGust - Gust speed (in m/s) at 10 m AGL.
+ * @returns {?number} Ratio of the gust to the mean wind (never less than one). Null when the mean wind is calm.
+ */
+function calculateGustFactor(windList, groundElevation, surfaceGust) {
+    const surfaceWind = interpolateWind(windList, groundElevation + gustReferenceHeight);
+    if (null == surfaceWind || surfaceWind.windSpeed < 0.1) {
+        return null;
+    }
+
+    return Math.max(surfaceGust / surfaceWind.windSpeed, 1.0);
+}
+
+/**
+ * Make the lower levels of a profile reflect the surface gusts instead of the mean wind. The full
+ * effect applies up to 10 m AGL and fades out linearly by 1000 m AGL.
+ * @param {Array<WindAtAltitude>} windList - Ascending winds with altitudes in meters MSL.
+ * @param {number} groundElevation - Elevation (in meters) of the launch site.
+ * @param {number} surfaceGust - Gust speed (in m/s) at 10 m AGL.
+ * @param {string} method - 'inflate' scales the speeds by the gust factor, 'deviation' sets the
+ *                          standard deviation so the gust is a three sigma event.
+ * @param {number} [standardDeviation] - Standard deviation (in m/s) written for winds that do not have their own.
+ *                                       The 'deviation' method never goes below it.
+ * @returns {Array<WindAtAltitude>} Adjusted winds. The original list when the mean surface wind is calm.
+ */
+function applySurfaceGust(windList, groundElevation, surfaceGust, method, standardDeviation = 0) {
+    const gustFactor = calculateGustFactor(windList, groundElevation, surfaceGust);
+    if (null == gustFactor) {
+        return windList;
+    }
+
+    const surfaceWind = interpolateWind(windList, groundElevation + gustReferenceHeight);
+    const gustDeviation = Math.max(surfaceGust - surfaceWind.windSpeed, 0) / gustPeakFactor;
+
+    return windList.map((wind) => {
+        const height = wind.altitude - groundElevation;
+        const gustWeight = Math.min(Math.max(1.0 - ((height - gustReferenceHeight) / (gustTaperHeight - gustReferenceHeight)), 0), 1.0);
+        if (gustWeight <= 0) {
+            return wind;
+        }
+
+        if ('deviation' == method) {
+            const gustStandardDeviation = Math.max(wind.standardDeviation ?? standardDeviation, gustDeviation * gustWeight);
+            return new WindAtAltitude(wind.altitude, wind.windSpeed, wind.windDirection, gustStandardDeviation, wind.isModelled);
+        }
+
+        const speedFactor = 1.0 + ((gustFactor - 1.0) * gustWeight);
+        return new WindAtAltitude(wind.altitude, wind.windSpeed * speedFactor, wind.windDirection, wind.standardDeviation, wind.isModelled);
+    });
+}
+
+export { calculateGustFactor, applySurfaceGust };
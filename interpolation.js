@@ -0,0 +1,198 @@
+import { WindAtAltitude } from "./wind.js";
+
+/**
+ * Split a wind into its eastward (u) and northward (v) components.
+ * @param {number} windSpeed - Wind speed.
+ * @param {number} windDirection - Direction the wind is coming from (in degrees from North).
+ * @returns {{u: number, v: number}} Components in the same unit as the speed.
+ */
+function windToComponents(windSpeed, windDirection) {
+    const directionRadians = windDirection * (Math.PI / 180.0);
+    return { u: -windSpeed * Math.sin(directionRadians), v: -windSpeed * Math.cos(directionRadians) };
+}
+
+/**
+ * Combine eastward (u) and northward (v) components back into a wind speed and direction.
+ * @param {number} u - Eastward component.
+ * @param {number} v - Northward component.
+ * @returns {{speed: number, direction: number}} Speed and the direction (0 - 360 degrees) the wind is coming from.
+ */
+function componentsToWind(u, v) {
+    let windDirection = Math.atan2(-u, -v) * (180.0 / Math.PI);
+    if (windDirection < 0.0) {
+        windDirection += 360.0;
+    }
+
+    return { speed: Math.hypot(u, v), direction: windDirection % 360.0 };
+}
+
+/**
+ * Calculate the slope at every point of a monotone cubic (Fritsch-Butland) curve. Slopes
+ * are zero wherever the data changes direction so the curve never overshoots the data.
+ * @param {Array<number>} xValues - Strictly ascending positions.
+ * @param {Array<number>} yValues - Value at each position.
+ * @returns {Array<number>} Slope at each position.
+ */
+function calculateMonotoneSlopes(xValues, yValues) {
+    const pointCount = xValues.length;
+    if (pointCount < 2) {
+        return new Array(pointCount).fill(0);
+    }
+
+    let secants = [];
+    for (let pointIndex = 0; pointIndex < pointCount - 1; ++pointIndex) {
+        secants.push((yValues[pointIndex + 1] - yValues[pointIndex]) / (xValues[pointIndex + 1] - xValues[pointIndex]));
+    }
+
+    let slopes = [secants[0]];
+    for (let pointIndex = 1; pointIndex < pointCount - 1; ++pointIndex) {
+        const lowerSecant = secants[pointIndex - 1];
+        const upperSecant = secants[pointIndex];
+        if (lowerSecant * upperSecant <= 0) {
+            slopes.push(0);
+        } else {
+            // Weighted harmonic mean of the neighboring secants.
+            const lowerWidth = xValues[pointIndex] - xValues[pointIndex - 1];
+            const upperWidth = xValues[pointIndex + 1] - xValues[pointIndex];
+            slopes.push((3.0 * (lowerWidth + upperWidth)) / (((2.0 * upperWidth + lowerWidth) / lowerSecant) + ((upperWidth + 2.0 * lowerWidth) / upperSecant)));
+        }
+    }
+    slopes.push(secants[pointCount - 2]);
+
+    return slopes;
+}
+
+/**
+ * Evaluate a cubic Hermite segment.
+ * @param {number} ratio - Position within the segment (0 - 1).
+ * @param {number} width - Width of the segment.
+ * @param {number} lowerValue - Value at the start of the segment.
+ * @param {number} upperValue - Value at the end of the segment.
+ * @param {number} lowerSlope - Slope at the start of the segment.
+ * @param {number} upperSlope - Slope at the end of the segment.
+ * @returns {number} Interpolated value.
+ */
+function evaluateHermite(ratio, width, lowerValue, upperValue, lowerSlope, upperSlope) {
+    const ratioSquared = ratio * ratio;
+    const ratioCubed = ratioSquared * ratio;
+    return ((2.0 * ratioCubed - 3.0 * ratioSquared + 1.0) * lowerValue) +
+           ((ratioCubed - 2.0 * ratioSquared + ratio) * width * lowerSlope) +
+           ((-2.0 * ratioCubed + 3.0 * ratioSquared) * upperValue) +
+           ((ratioCubed - ratioSquared) * width * upperSlope);
+}
+
+/**
+ * Prepare a function estimating the wind at any altitude of an ascending list of winds. The wind
+ * is interpolated as eastward and northward components, so veering through any angle (including
+ * across North or through 180 degrees) follows the shortest physical path. Altitudes outside the
+ * list's range hold the nearest available wind.
+ * @param {Array<WindAtAltitude>} windList - Winds sorted by ascending altitude.
+ * @param {string} [method] - 'linear' or 'cubic' (monotone cubic).
+ * @returns {function(number): ?WindAtAltitude} Returns the wind at an altitude (same reference as the list). Null if the list is empty.
+ */
+function createWindInterpolator(windList, method = 'linear') {
+    // Repeated altitudes cannot be interpolated between, so only the first is kept.
+    let knots = [];
+    for (const wind of windList) {
+        if (knots.length < 1 || wind.altitude > knots[knots.length - 1].altitude) {
+            knots.push(wind);
+        }
+    }
+
+    if (knots.length < 1) {
+        return () => null;
+    }
+
+    const altitudes = knots.map((wind) => wind.altitude);
+    const components = knots.map((wind) => windToComponents(wind.windSpeed, wind.windDirection));
+    const uValues = components.map((component) => component.u);
+    const vValues = components.map((component) => component.v);
+
+    const useCubic = ('cubic' == method) && knots.length > 2;
+    const uSlopes = useCubic ? calculateMonotoneSlopes(altitudes, uValues) : null;
+    const vSlopes = useCubic ? calculateMonotoneSlopes(altitudes, vValues) : null;
+
+    return (altitude) => {
+        if (altitude <= altitudes[0]) {
+            return new WindAtAltitude(altitude, knots[0].windSpeed, knots[0].windDirection, knots[0].standardDeviation, knots[0].isModelled);
+        }
+
+        const topIndex = knots.length - 1;
+        if (altitude >= altitudes[topIndex]) {
+            return new WindAtAltitude(altitude, knots[topIndex].windSpeed, knots[topIndex].windDirection, knots[topIndex].standardDeviation, knots[topIndex].isModelled);
+        }
+
+        // Binary search for the band containing the altitude.
+        let lowerIndex = 0;
+        let upperIndex = topIndex;
+        while (upperIndex - lowerIndex > 1) {
+            const middleIndex = Math.floor((lowerIndex + upperIndex) / 2);
+            if (altitudes[middleIndex] <= altitude) {
+                lowerIndex = middleIndex;
+            } else {
+                upperIndex = middleIndex;
+            }
+        }
+
+        const bandWidth = altitudes[upperIndex] - altitudes[lowerIndex];
+        const bandRatio = (altitude - altitudes[lowerIndex]) / bandWidth;
+
+        let u;
+        let v;
+        if (useCubic) {
+            u = evaluateHermite(bandRatio, bandWidth, uValues[lowerIndex], uValues[upperIndex], uSlopes[lowerIndex], uSlopes[upperIndex]);
+            v = evaluateHermite(bandRatio, bandWidth, vValues[lowerIndex], vValues[upperIndex], vSlopes[lowerIndex], vSlopes[upperIndex]);
+        } else {
+            u = uValues[lowerIndex] + (bandRatio * (uValues[upperIndex] - uValues[lowerIndex]));
+            v = vValues[lowerIndex] + (bandRatio * (vValues[upperIndex] - vValues[lowerIndex]));
+        }
+
+        // A calm wind has no direction, so keep the nearest reported one.
+        let wind = componentsToWind(u, v);
+        if (wind.speed < 1e-6) {
+            wind.direction = knots[(bandRatio < 0.5) ? lowerIndex : upperIndex].windDirection;
+        }
+
+        let standardDeviation = null;
+        const lowerDeviation = knots[lowerIndex].standardDeviation;
+        const upperDeviation = knots[upperIndex].standardDeviation;
+        if (null != lowerDeviation && null != upperDeviation) {
+            standardDeviation = lowerDeviation + (bandRatio * (upperDeviation - lowerDeviation));
+        }
+
+        // Anything derived from a modelled wind is modelled as well.
+        const isModelled = knots[lowerIndex].isModelled || knots[upperIndex].isModelled;
+
+        return new WindAtAltitude(altitude, wind.speed, wind.direction, standardDeviation, isModelled);
+    };
+}
+
+/**
+ * Estimate the wind at a specific altitude from an ascending list of winds.
+ * Altitudes outside the list's range hold the nearest available wind.
+ * @param {Array<WindAtAltitude>} windList - Winds sorted by ascending altitude.
+ * @param {number} altitude - Altitude where the wind is desired (same reference as the list).
+ * @param {string} [method] - 'linear' or 'cubic' (monotone cubic).
+ * @returns {WindAtAltitude} Interpolated wind. Null if the list is empty.
+ */
+function interpolateWind(windList, altitude, method = 'linear') {
+    return createWindInterpolator(windList, method)(altitude);
+}
+
+/**
+ * Interpolate an ascending list of winds onto new altitudes.
+ * @param {Array<WindAtAltitude>} windList - Winds sorted by ascending altitude.
+ * @param {Array<number>} altitudes - Ascending altitudes of the new list (same reference as the wind list).
+ * @param {string} [method] - 'linear' or 'cubic' (monotone cubic).
+ * @returns {Array<WindAtAltitude>} Wind at each requested altitude. Empty if the wind list is empty.
+ */
+function resampleWindList(windList, altitudes, method = 'linear') {
+    if (windList.length < 1) {
+        return [];
+    }
+
+    const windInterpolator = createWindInterpolator(windList, method);
+    return altitudes.map((altitude) => windInterpolator(altitude));
+}
+
+export { windToComponents, componentsToWind, interpolateWind, resampleWindList };
@@ -1,6 +1,24 @@
 import { GeoLocation } from "./geo.js";
 import { LaunchTimeData } from "./launch.js";
+import { ZipArchive } from "./zip.js";
+import { averageWindLists } from "./profile.js";
 import { WindAtAltitude } from "./wind.js";
+import { interpolateWind, resampleWindList } from "./interpolation.js";
+import { ForecastCache } from "./cache.js";
+import { OpenMeteoProvider } from "./openmeteo.js";
+import { MockWindProvider } from "./mock.js";
+import { SoundingProvider } from "./sounding.js";
+import { FlightTrackProvider } from "./track.js";
+import { surfaceTerrains, extrapolateSurfaceWinds } from "./surface.js";
+import { extendUpperWinds } from "./upperwind.js";
+import { averageAtmosphere } from "./atmosphere.js";
+import { applySurfaceGust } from "./gust.js";
+import { maxStandardDeviation, validateWindList, validateProfileLevels } from "./validation.js";
+import { OpenRocketDocument } from "./ork.js";
+import { LaunchSiteLibrary } from "./sites.js";
+import { LaunchWaiver, truncateWindList, findStrongCeilingWind } from "./waiver.js";
+import { predictDrift } from "./drift.js";
+import { parseCoordinate, parseLocation, formatLocation } from "./coordinates.js";
 
 // The limit appears to have been a limitation of only the OpenRocket UI.
 // Submitting higher wind speeds through CSV submission works fine.
@@ -13,7 +31,21 @@ const waiverLatitudeId = 'waiver_latitude';
 const waiverLongitudeId = 'waiver_longitude';
 const waiverRadiusId = 'waiver_radius';
 const waiverAltitudeId = 'waiver_altitude';
+const waiverAltitudeReferenceId = 'waiver_altitude_reference';
+const locationEchoId = 'location_echo';
+const waiverLocationEchoId = 'waiver_location_echo';
+const btnUseMyLocationId = 'btn_use_my_location';
 const btnSaveCsvFileId = 'btn_save_csv_file';
+const btnOpenForecastFileId = 'btn_open_forecast_file';
+const btnSaveForecastFileId = 'btn_save_forecast_file';
+const forecastFileInputId = 'forecast_file_input';
+const btnCancelRequestId = 'btn_cancel_request';
+const btnOpenSoundingFileId = 'btn_open_sounding_file';
+const soundingFileInputId = 'sounding_file_input';
+const btnOpenFlightLogId = 'btn_open_flight_log';
+const flightLogInputId = 'flight_log_input';
+const btnOpenRocketFileId = 'btn_open_rocket_file';
+const rocketFileInputId = 'rocket_file_input';
 
 const csvOptionsToggleId = 'csv-options-toggle';
 const csvOptionsContainerId = 'csv-options-collapsable';
@@ -27,58 +59,234 @@ const altitudeReferenceId = 'altitude-reference';
 const deviationNameId = 'deviation-name';
 const deviationUnitId = 'deviation-unit';
 const deviationValueId = 'deviation-value';
+const includeTemperatureId = 'include-temperature';
+const temperatureNameId = 'temperature-name';
+const temperatureUnitId = 'temperature-unit';
+const includePressureId = 'include-pressure';
+const pressureNameId = 'pressure-name';
+const pressureUnitId = 'pressure-unit';
+const includeHumidityId = 'include-humidity';
+const humidityNameId = 'humidity-name';
+const humidityUnitId = 'humidity-unit';
+const includeDensityId = 'include-density';
+const densityNameId = 'density-name';
+const densityUnitId = 'density-unit';
 const fieldSeparatorValueId = 'field-separator';
+const interpolationMethodId = 'interpolation-method';
+const resampleStepId = 'resample-step';
+const resampleCeilingId = 'resample-ceiling';
+const surfaceModelId = 'surface-model';
+const surfaceTerrainId = 'surface-terrain';
+const upperWindsId = 'upper-winds';
+const waiverCutoffId = 'waiver-cutoff';
+const waiverMarginId = 'waiver-margin';
+const gustModeId = 'gust-mode';
 
 // IDs of the launch time inputs
 const launchDateId = 'launch_date';
 const launchTimeId = 'launch_time';
+const launchEndTimeId = 'launch_end_time';
+const launchWindowModeId = 'window-mode';
+
+// IDs of the forecast options
+const forecastSourceId = 'forecast-source';
+const climatologyYearsId = 'climatology-years';
+const sourceCoverageNoteId = 'source_coverage_note';
+const fieldModeId = 'field-mode';
+const cachedForecastId = 'cached-forecast';
+const requestTimeoutId = 'request-timeout';
+const geometricHeightId = 'geometric-height';
+const forecastModelId = 'forecast-model';
+const compareModelsId = 'compare-models';
+const modelComparisonId = 'model_comparison';
+const windWarningsId = 'wind_warnings';
+const rocketSimulationsId = 'rocket_simulations';
 
 // IDs of the launch site buttons
 const selLaunchSiteNameId = 'select_launch_site';
+const launchSiteNameId = 'launch_site_name';
+const launchSiteElevationId = 'launch_site_elevation';
+const btnSaveLaunchSiteId = 'btn_save_launch_site';
+const btnRenameLaunchSiteId = 'btn_rename_launch_site';
+const btnDeleteLaunchSiteId = 'btn_delete_launch_site';
+const btnImportLaunchSitesId = 'btn_import_launch_sites';
+const launchSitesFileInputId = 'launch_sites_file_input';
+const btnExportLaunchSitesId = 'btn_export_launch_sites';
+
+// IDs of the descent inputs used to predict the drift
+const driftApogeeId = 'drift-apogee';
+const driftDrogueRateId = 'drift-drogue-rate';
+const driftMainRateId = 'drift-main-rate';
+const driftMainAltitudeId = 'drift-main-altitude';
+const driftUnitId = 'drift-unit';
 
 // Drift result display IDs
 const statusDisplayId = 'status_display';
+const forecastAgeId = 'forecast_age';
+const driftResultId = 'drift_result';
 
-// Pulled from wind.js
-const openMeteoWindAltitudes = [10, 80, 120];
-const openMeteoPressureLevels = [1000, 975, 950, 925, 900, 850, 800, 750, 700, 650, 600, 550, 500, 450, 400, 350, 300, 250, 200, 150, 100, 70, 50, 30, 20, 15, 10];
+// Open-Meteo ensemble models matching each forecast source option. The first source is the deterministic forecast.
+const openMeteoEnsembleModels = ['', 'gfs_seamless', 'icon_seamless', 'ecmwf_ifs025'];
+
+// Forecast source option that aggregates past years of historical forecasts (or the ERA5 reanalysis) instead of a forecast.
+const climatologySourceIndex = openMeteoEnsembleModels.length;
+
+// Open-Meteo deterministic models matching each forecast model option.
+const openMeteoForecastModels = ['best_match', 'gfs_seamless', 'gfs_hrrr', 'icon_seamless', 'ecmwf_ifs025', 'gem_seamless', 'jma_seamless', 'meteofrance_seamless', 'ukmo_seamless'];
+
+// Interpolation methods matching each interpolation option.
+const interpolationMethods = ['linear', 'cubic'];
+
+// Surface layer profiles matching each surface model option. The first option leaves the forecast levels alone.
+const surfaceLayerMethods = ['', 'log', 'power'];
+
+// Ways of applying the surface gusts matching each gust mode option. The first option uses the mean wind.
+const gustMethods = ['', 'inflate', 'deviation'];
+
+// Waiver ceiling references matching each ceiling reference option.
+const waiverCeilingReferences = ['msl', 'agl'];
+
+// FAA waivers give the ceiling in feet and the radius in nautical miles (indices of the CSV altitude units).
+const waiverCeilingUnitIndex = 2;
+const waiverRadiusUnitIndex = 5;
+
+// Launch site elevations are entered in feet like the waiver ceiling (index of the CSV altitude units).
+const siteElevationUnitIndex = 2;
+
+// Altitude units matching each drift unit option (indices of the CSV altitude units). Rates use the same unit per second.
+const driftUnitIndices = [2, 0];
+
+// Display names of the selectable CSV measurement units.
+const altitudeUnitNames = ['m', 'km', 'ft', 'yd', 'mi', 'nmi'];
+const speedUnitNames = ['m/s', 'km/s', 'ft/s', 'mph', 'kt'];
 
 // Potential field separator characters for CSV files.
 const csvFieldSeparators = [',', ';', ' ', '\t'];
 
+// Header for the trailing column that flags rows estimated by a model rather than forecast (1) or reported (0).
+const modelledColumnName = 'modelled';
+
 // Keep track of the current Standard Deviation unit type in order to convert
 // the associated input field's value when a different unit is selected.
 let currentStandardDeviationUnitIndex = 0;
 
-// Hold an instance of a db object for us to store the IndexedDB data in
-let dbLaunchSites = null;
+// Launch sites saved by the user in this origin's IndexedDB.
+const launchSiteLibrary = new LaunchSiteLibrary();
+
+// Wind data exactly as the provider obtained it, kept for the cache and the forecast file.
+let windData = null;
+
+// Note from the provider about how the altitudes of the wind profiles were obtained.
+let windAltitudeNote = '';
+
+// Whether the wind profiles hold the launch window from several past years instead of a forecast.
+let windDataIsClimatology = false;
+
+// Wind profiles converted from windData by its provider.
+let windProfiles = [];
+
+// Local copy of every downloaded forecast for use without a network connection.
+const forecastCache = new ForecastCache();
 
-let openMeteoWindJSON = null;
+// Cached forecasts older than this many hours are highlighted as stale.
+const staleForecastHours = 12;
 
-var launchSiteNames = [];
+// Past years averaged for climatology by default. Historical forecasts with pressure levels only reach back to 2022.
+const defaultClimatologyYears = 4;
+
+// Number of additional attempts made when Open-Meteo is rate limiting or having server problems.
+const openMeteoMaxRetries = 3;
+
+// Height (in meters) of the altitude bins a flight log's descent is averaged over.
+const flightTrackBinHeight = 100;
+
+// Cancels the forecast download in progress. Null when nothing is downloading.
+let activeRequestController = null;
+
+// OpenRocket design the wind is written into instead of a CSV file. Null when saving CSV files.
+let rocketDocument = null;
+
+// Name of the .ork file the rocket design was opened from.
+let rocketFileName = '';
+
+// Prepared wind files the landing prediction was last calculated from. Empty until the wind files are created.
+let driftWindFiles = [];
+
+// Answers the displayed wind warnings. Null when no warnings are waiting for the user.
+let resolveWindWarnings = null;
 
 /**
  * Create an object containing a launch site location based on the current UI data.
  * @returns {GeoLocation} Coordinates of launch site if successful. Otherwise returns null.
  */
 function getLaunchSiteLocation() {
-    const latitude = parseFloat(document.getElementById(launchSiteLatitudeId).value);
+    const latitude = parseCoordinate(document.getElementById(launchSiteLatitudeId).value, 'latitude');
     if (isNaN(latitude)) {
         return null;
-    } else if ((latitude > 90.0) || (latitude < -90.0)) {
-        return null;
     }
 
-    const longitude = parseFloat(document.getElementById(launchSiteLongitudeId).value);
+    const longitude = parseCoordinate(document.getElementById(launchSiteLongitudeId).value, 'longitude');
     if (isNaN(longitude)) {
         return null;
-    } else if ((longitude > 180.0) || (longitude < -180.0)) {
-        return null;
     }
 
     return new GeoLocation(latitude, longitude);
 }
 
+/**
+ * Find where the wind profiles apply, falling back to the location reported with the wind data when no launch site was entered.
+ * @returns {GeoLocation} Coordinates of the launch site if known. Otherwise returns null.
+ */
+function getWindLocation() {
+    const launchLocation = getLaunchSiteLocation();
+    if (null == launchLocation && null != windData && GeoLocation.isValidLatitude(windData.latitude) && GeoLocation.isValidLongitude(windData.longitude)) {
+        return new GeoLocation(windData.latitude, windData.longitude);
+    }
+
+    return launchLocation;
+}
+
+/**
+ * Read the optional launch site elevation entered in the UI.
+ * @returns {?number} Elevation (in meters MSL) of the launch site. Null when none was entered, NaN when it is not a number.
+ */
+function getLaunchSiteElevation() {
+    const elevationInput = document.getElementById(launchSiteElevationId);
+    if (null == elevationInput || elevationInput.value.trim().length < 1) {
+        return null;
+    }
+
+    return parseFloat(elevationInput.value) / convertAltitudeFromMeters(1.0, siteElevationUnitIndex);
+}
+
+/**
+ * Create an object containing the FAA waiver based on the current UI data. The center and radius are optional.
+ * @returns {LaunchWaiver} Waiver of the launch site if a valid ceiling was entered. Otherwise returns null.
+ */
+function getLaunchWaiver() {
+    const ceiling = parseFloat(document.getElementById(waiverAltitudeId).value);
+    if (isNaN(ceiling) || ceiling <= 0) {
+        return null;
+    }
+
+    let center = null;
+    const latitude = parseCoordinate(document.getElementById(waiverLatitudeId).value, 'latitude');
+    const longitude = parseCoordinate(document.getElementById(waiverLongitudeId).value, 'longitude');
+    if (!isNaN(latitude) && !isNaN(longitude)) {
+        center = new GeoLocation(latitude, longitude);
+    }
+
+    let radius = parseFloat(document.getElementById(waiverRadiusId).value);
+    if (isNaN(radius) || radius <= 0) {
+        radius = null;
+    } else {
+        radius /= convertAltitudeFromMeters(1.0, waiverRadiusUnitIndex);
+    }
+
+    const ceilingReference = waiverCeilingReferences[getCsvOptionValue(0, waiverAltitudeReferenceId, 0, waiverCeilingReferences.length - 1)];
+    return new LaunchWaiver(center, radius, ceiling / convertAltitudeFromMeters(1.0, waiverCeilingUnitIndex), ceilingReference);
+}
+
 /**
  * Check if the provided string contains a valid numeric value.
  * @param {string} str - String to be tested.
@@ -94,18 +302,317 @@ function isNumeric(str) {
     return !isNaN(str) && !isNaN(parseFloat(str));
 }
 
+/**
+ * Show how a pair of coordinate inputs was read, so the user can confirm an entry in another format.
+ * @param {string} latitudeId - Id of the latitude input.
+ * @param {string} longitudeId - Id of the longitude input.
+ * @param {string} echoId - Id of the element showing the location.
+ */
+function updateCoordinateEcho(latitudeId, longitudeId, echoId) {
+    const echoElement = document.getElementById(echoId);
+    if (null == echoElement) {
+        return;
+    }
+
+    const latitudeText = document.getElementById(latitudeId).value.trim();
+    const longitudeText = document.getElementById(longitudeId).value.trim();
+    echoElement.hidden = (latitudeText.length < 1 && longitudeText.length < 1);
+    echoElement.classList.remove('invalid');
+
+    const latitude = parseCoordinate(latitudeText, 'latitude');
+    const longitude = parseCoordinate(longitudeText, 'longitude');
+    if (isNaN(latitude) || isNaN(longitude)) {
+        echoElement.textContent = isNaN(latitude) ? 'Latitude not recognized.' : 'Longitude not recognized.';
+        echoElement.classList.add('invalid');
+        return;
+    }
+
+    const location = new GeoLocation(latitude, longitude);
+    echoElement.textContent = `${latitude.toFixed(6)}, ${longitude.toFixed(6)} (${formatLocation(location)})`;
+}
+
+/**
+ * Split a complete location (Ex: UTM, MGRS, or a pasted latitude and longitude pair) entered into either
+ * coordinate input across both inputs, then show how the coordinates were read.
+ * @param {string} latitudeId - Id of the latitude input.
+ * @param {string} longitudeId - Id of the longitude input.
+ * @param {string} echoId - Id of the element showing the location.
+ */
+function normalizeCoordinateInputs(latitudeId, longitudeId, echoId) {
+    const latitudeInput = document.getElementById(latitudeId);
+    const longitudeInput = document.getElementById(longitudeId);
+    for (const [coordinateInput, axis] of [[latitudeInput, 'latitude'], [longitudeInput, 'longitude']]) {
+        if (isNaN(parseCoordinate(coordinateInput.value, axis))) {
+            const location = parseLocation(coordinateInput.value);
+            if (null != location) {
+                latitudeInput.value = location.latitude.toFixed(6);
+                longitudeInput.value = location.longitude.toFixed(6);
+                break;
+            }
+        }
+    }
+
+    updateCoordinateEcho(latitudeId, longitudeId, echoId);
+}
+
+/**
+ * Fill the launch site coordinates from the device's location.
+ */
+function useDeviceLocation() {
+    const statusDisplayElement = document.getElementById(statusDisplayId);
+    if (!('geolocation' in navigator)) {
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = 'This browser cannot provide your location.';
+        }
+        return;
+    }
+
+    if (null != statusDisplayElement) {
+        statusDisplayElement.textContent = 'Finding your location...';
+    }
+
+    navigator.geolocation.getCurrentPosition((position) => {
+        document.getElementById(launchSiteLatitudeId).value = position.coords.latitude.toFixed(6);
+        document.getElementById(launchSiteLongitudeId).value = position.coords.longitude.toFixed(6);
+        updateCoordinateEcho(launchSiteLatitudeId, launchSiteLongitudeId, locationEchoId);
+        askUserToRefreshWindForecast();
+
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = `Using your location, accurate to ${Math.round(position.coords.accuracy)} m.`;
+        }
+    }, (error) => {
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = `Unable to get your location: ${error.message}`;
+        }
+    }, { enableHighAccuracy: true, timeout: 30000, maximumAge: 60000 });
+}
+
 /**
  * Copy values retrieved from the database into the UI fields.
- * @param {cursor} dbCursor - Cursor returned from the launch site database.
+ * @param {LaunchSite} launchSite - Launch site returned from the launch site library.
+ */
+function updateLaunchSiteDisplay(launchSite) {
+    document.getElementById(launchSiteLatitudeId).value = launchSite.latitude;
+    document.getElementById(launchSiteLongitudeId).value = launchSite.longitude;
+
+    const launchSiteNameInput = document.getElementById(launchSiteNameId);
+    if (null != launchSiteNameInput) {
+        launchSiteNameInput.value = launchSite.name;
+    }
+
+    // Sites saved before elevations were supported have none.
+    const launchSiteElevationInput = document.getElementById(launchSiteElevationId);
+    if (null != launchSiteElevationInput) {
+        launchSiteElevationInput.value = (null != launchSite.elevation) ? parseFloat(convertAltitudeFromMeters(launchSite.elevation, siteElevationUnitIndex).toFixed(0)) : '';
+    }
+
+    // Sites saved before waivers were supported have none.
+    const siteWaiver = launchSite.waiver ?? null;
+    document.getElementById(waiverLatitudeId).value = siteWaiver?.latitude ?? '';
+    document.getElementById(waiverLongitudeId).value = siteWaiver?.longitude ?? '';
+    document.getElementById(waiverRadiusId).value = (null != siteWaiver?.radius) ? parseFloat(convertAltitudeFromMeters(siteWaiver.radius, waiverRadiusUnitIndex).toFixed(2)) : '';
+    document.getElementById(waiverAltitudeId).value = (null != siteWaiver) ? parseFloat(convertAltitudeFromMeters(siteWaiver.ceiling, waiverCeilingUnitIndex).toFixed(0)) : '';
+    document.getElementById(waiverAltitudeReferenceId).value = Math.max(waiverCeilingReferences.indexOf(siteWaiver?.ceilingReference ?? 'msl'), 0);
+
+    updateCoordinateEcho(launchSiteLatitudeId, launchSiteLongitudeId, locationEchoId);
+    updateCoordinateEcho(waiverLatitudeId, waiverLongitudeId, waiverLocationEchoId);
+}
+
+/**
+ * Fill the launch site selector with every site in the library.
+ * @param {string} [selectedName] - Name of the site to leave selected. Empty selects the placeholder.
+ */
+async function updateLaunchSiteSelect(selectedName = '') {
+    const launchSiteSelect = document.getElementById(selLaunchSiteNameId);
+    if (null == launchSiteSelect) {
+        return;
+    }
+
+    // Keep the placeholder option and replace everything else.
+    while (launchSiteSelect.options.length > 1) {
+        launchSiteSelect.remove(1);
+    }
+
+    for (const launchSite of await launchSiteLibrary.list()) {
+        const launchSiteOption = document.createElement('option');
+        launchSiteOption.value = launchSite.name;
+        launchSiteOption.text = launchSite.name;
+        launchSiteSelect.add(launchSiteOption);
+    }
+
+    launchSiteSelect.value = selectedName;
+    if (launchSiteSelect.value != selectedName) {
+        launchSiteSelect.value = '';
+    }
+}
+
+/**
+ * Copy a saved launch site into the UI so its wind can be created.
+ * @param {string} siteName - Name of the selected launch site.
+ */
+async function selectLaunchSite(siteName) {
+    const launchSite = await launchSiteLibrary.get(siteName);
+    if (null == launchSite) {
+        return;
+    }
+
+    updateLaunchSiteDisplay(launchSite);
+    askUserToRefreshWindForecast();
+}
+
+/**
+ * Show the outcome of a launch site library action.
+ * @param {string} message - Text shown to the user.
+ */
+function showLaunchSiteStatus(message) {
+    const statusDisplayElement = document.getElementById(statusDisplayId);
+    if (null != statusDisplayElement) {
+        statusDisplayElement.textContent = message;
+    }
+}
+
+/**
+ * Add the launch site entered in the UI to the library, replacing any site with the same name.
+ */
+async function saveLaunchSite() {
+    const launchLocation = getLaunchSiteLocation();
+    if (null == launchLocation) {
+        showLaunchSiteStatus('Enter a valid latitude and longitude before saving the launch site.');
+        return;
+    }
+
+    const siteName = document.getElementById(launchSiteNameId).value.trim();
+    if (siteName.length < 1) {
+        showLaunchSiteStatus('Enter a name before saving the launch site.');
+        return;
+    }
+
+    const siteElevation = getLaunchSiteElevation();
+    if (null != siteElevation && isNaN(siteElevation)) {
+        showLaunchSiteStatus('Enter a valid elevation or leave it empty before saving the launch site.');
+        return;
+    }
+
+    // A partly entered waiver is more likely a mistake than a site without one.
+    const launchWaiver = getLaunchWaiver();
+    if (null == launchWaiver && document.getElementById(waiverAltitudeId).value.trim().length > 0) {
+        showLaunchSiteStatus('Enter a valid waiver ceiling before saving the launch site.');
+        return;
+    }
+
+    let siteWaiver = null;
+    if (null != launchWaiver) {
+        siteWaiver = {
+            latitude: launchWaiver.center?.latitude ?? null,
+            longitude: launchWaiver.center?.longitude ?? null,
+            radius: launchWaiver.radius,
+            ceiling: launchWaiver.ceiling,
+            ceilingReference: launchWaiver.ceilingReference,
+        };
+    }
+
+    if (await launchSiteLibrary.put({ name: siteName, latitude: launchLocation.latitude, longitude: launchLocation.longitude, elevation: siteElevation, waiver: siteWaiver })) {
+        await updateLaunchSiteSelect(siteName);
+        showLaunchSiteStatus(`Saved the ${siteName} launch site.`);
+    } else {
+        showLaunchSiteStatus('Launch sites cannot be saved in this browser.');
+    }
+}
+
+/**
+ * Give the selected launch site the name entered in the UI.
+ */
+async function renameLaunchSite() {
+    const oldName = document.getElementById(selLaunchSiteNameId).value;
+    const newName = document.getElementById(launchSiteNameId).value.trim();
+    if (oldName.length < 1) {
+        showLaunchSiteStatus('Select the launch site to be renamed.');
+        return;
+    } else if (newName.length < 1) {
+        showLaunchSiteStatus('Enter the new name of the launch site.');
+        return;
+    }
+
+    if (await launchSiteLibrary.rename(oldName, newName)) {
+        await updateLaunchSiteSelect(newName);
+        showLaunchSiteStatus(`Renamed ${oldName} to ${newName}.`);
+    } else {
+        showLaunchSiteStatus(`Unable to rename ${oldName}. A launch site named ${newName} may already exist.`);
+    }
+}
+
+/**
+ * Remove the selected launch site from the library.
+ */
+async function deleteLaunchSite() {
+    const siteName = document.getElementById(selLaunchSiteNameId).value;
+    if (siteName.length < 1) {
+        showLaunchSiteStatus('Select the launch site to be deleted.');
+        return;
+    }
+
+    if (await launchSiteLibrary.delete(siteName)) {
+        await updateLaunchSiteSelect();
+        document.getElementById(launchSiteNameId).value = '';
+        showLaunchSiteStatus(`Deleted the ${siteName} launch site.`);
+    } else {
+        showLaunchSiteStatus(`Unable to delete the ${siteName} launch site.`);
+    }
+}
+
+/**
+ * Add the launch sites from a shared JSON file to the library. Sites with the same name are replaced.
+ * @param {File} sitesFile - JSON document selected by the user.
+ */
+async function importLaunchSites(sitesFile) {
+    let launchSites = [];
+    try {
+        launchSites = LaunchSiteLibrary.parseSiteList(JSON.parse(await sitesFile.text()));
+    } catch (error) {
+        console.error(error.message);
+        showLaunchSiteStatus(`Unable to read the launch sites file: ${error.message}`);
+        return;
+    }
+
+    let importCount = 0;
+    for (const launchSite of launchSites) {
+        if (await launchSiteLibrary.put(launchSite)) {
+            ++importCount;
+        }
+    }
+
+    await updateLaunchSiteSelect(document.getElementById(selLaunchSiteNameId).value);
+    showLaunchSiteStatus(`Imported ${importCount} of ${launchSites.length} launch site${(1 == launchSites.length) ? '' : 's'}.`);
+}
+
+/**
+ * Save every launch site in the library as a JSON file others can import.
  */
-function updateLaunchSiteDisplay(dbCursor) {
-    document.getElementById(launchSiteLatitudeId).value = dbCursor.latitude;
-    document.getElementById(launchSiteLongitudeId).value = dbCursor.longitude;
+async function exportLaunchSites() {
+    const launchSites = await launchSiteLibrary.list();
+    if (launchSites.length < 1) {
+        showLaunchSiteStatus('There are no launch sites to export.');
+        return;
+    }
+
+    const sitesBlob = new Blob([JSON.stringify(LaunchSiteLibrary.createSiteList(launchSites), null, 2)], { type: 'application/json' });
+    if (await saveFileBlob(sitesBlob, 'launch_sites.json', 'JSON document', 'application/json', '.json')) {
+        showLaunchSiteStatus(`Exported ${launchSites.length} launch site${(1 == launchSites.length) ? '' : 's'}.`);
+    }
 }
+
 /**
  * Update the UI elements to reflect a new wind forecast is required.
  */
 function askUserToRefreshWindForecast() {
+    // Any displayed model comparison no longer matches the launch details.
+    hideModelComparison();
+    hideWindWarnings();
+
+    // Neither does the landing prediction.
+    driftWindFiles = [];
+    updateDriftPrediction();
+
     const saveCsvFileButton = document.getElementById(btnSaveCsvFileId);
     if (null != saveCsvFileButton) {
         const launchLocation = getLaunchSiteLocation();
@@ -130,75 +637,340 @@ function askUserToRefreshWindForecast() {
 }
 
 /**
- * Add logic to reset the UI when a data field used to fetch wind forecasts is changed.
- * @param {string} elementId - Id of the html element the event listener will be added to.
+ * Obtain the weather models selected for a side-by-side comparison.
+ * @returns {Array<string>} Open-Meteo names of the primary model followed by each additional model. Empty when not comparing models.
  */
-function addRefreshWindForecastListener(elementId) {
-    const inputElement = document.getElementById(elementId);
-    if (null != inputElement) {
-        inputElement.addEventListener('change', (event) => {
-            askUserToRefreshWindForecast();
-        });
+function getComparisonModels() {
+    // Ensemble forecasts and climatology are not compared against other models.
+    if (getForecastSourceIndex() > 0) {
+        return [];
+    }
+
+    const forecastModelIndex = getCsvOptionValue(0, forecastModelId, 0, openMeteoForecastModels.length - 1);
+    let comparisonModels = [openMeteoForecastModels[forecastModelIndex]];
+
+    const compareModelsSelect = document.getElementById(compareModelsId);
+    if (null != compareModelsSelect) {
+        for (const selectedOption of compareModelsSelect.selectedOptions) {
+            const modelIndex = parseInt(selectedOption.value);
+            if (isNaN(modelIndex) || modelIndex < 0 || modelIndex >= openMeteoForecastModels.length) {
+                continue;
+            }
+
+            if (!comparisonModels.includes(openMeteoForecastModels[modelIndex])) {
+                comparisonModels.push(openMeteoForecastModels[modelIndex]);
+            }
+        }
     }
+
+    return (comparisonModels.length > 1) ? comparisonModels : [];
 }
 
 /**
- * Obtain the value from one of the optional CSV formatting fields. Ensure it is valid
- * based on the other provided information. Otherwise revert to the default value.
- * @param {int} defaultValue - Value to be returned if fetched data is found to be invalid.
- * @param {string} optionId - Id of the html element containing the desired value.
- * @param {int} minValue - Minimum expected value.
- * @param {int} maxValue - Maximum expected value;
- * @returns {int} Html element's value converted into an integer if valid. Otherwise the provided default value.
+ * Remove any model comparison from the display.
  */
-function getCsvOptionValue(defaultValue, optionId, minValue, maxValue) {
-    let csvOptionValue = defaultValue;
-    const csvOptionElement = document.getElementById(optionId);
-    if (null != csvOptionElement) {
-        csvOptionValue = parseInt(csvOptionElement.value);
-        if (isNaN(csvOptionValue)) {
-            csvOptionValue = 0;
-        } else if (csvOptionValue < minValue || csvOptionValue > maxValue) {
-            csvOptionValue = 0;
-        }
+function hideModelComparison() {
+    const modelComparisonElement = document.getElementById(modelComparisonId);
+    if (null != modelComparisonElement) {
+        modelComparisonElement.replaceChildren();
+        modelComparisonElement.hidden = true;
     }
-
-    return csvOptionValue;
 }
 
 /**
- * Fired when the whole page has loaded, including all dependent resources except
- * those that are loaded lazily.
+ * Remove any wind warnings from the display. Warnings still waiting for an answer are treated as cancelled.
  */
-window.onload = () => {
-    const launchDateElement = document.getElementById(launchDateId);
-    const startTimeElement = document.getElementById(launchTimeId);
+function hideWindWarnings() {
+    const windWarningsElement = document.getElementById(windWarningsId);
+    if (null != windWarningsElement) {
+        windWarningsElement.replaceChildren();
+        windWarningsElement.hidden = true;
+    }
 
-    const currentDate = new Date();
+    if (null != resolveWindWarnings) {
+        resolveWindWarnings(false);
+        resolveWindWarnings = null;
+    }
+}
 
-    // Add leading zeros if the numbers are single digit
-    let monthString;
-    if (currentDate.getMonth() < 9) {
-        monthString = '0' + (currentDate.getMonth() + 1).toString();
-    } else {
-        monthString = (currentDate.getMonth() + 1).toString();
+/**
+ * Identify which forecast source option is selected.
+ * @returns {number} Index into openMeteoEnsembleModels, or climatologySourceIndex.
+ */
+function getForecastSourceIndex() {
+    return getCsvOptionValue(0, forecastSourceId, 0, climatologySourceIndex);
+}
+
+/**
+ * Enable only the inputs that apply to the selected forecast source.
+ */
+function updateForecastModelInputs() {
+    const forecastSourceIndex = getForecastSourceIndex();
+    for (const elementId of [forecastModelId, compareModelsId]) {
+        const inputElement = document.getElementById(elementId);
+        if (null != inputElement) {
+            inputElement.disabled = (forecastSourceIndex > 0);
+        }
     }
 
-    let dayString;
-    if (currentDate.getDate() < 10) {
-        dayString = '0' + currentDate.getDate().toString();
-    } else {
-        dayString = currentDate.getDate().toString();
+    const climatologyYearsInput = document.getElementById(climatologyYearsId);
+    if (null != climatologyYearsInput) {
+        climatologyYearsInput.disabled = (forecastSourceIndex != climatologySourceIndex);
     }
 
-    // Initialize the date element to today
-    launchDateElement.value = `${currentDate.getFullYear()}-${monthString}-${dayString}`;
+    updateLaunchDateLimits();
+    updateSourceCoverageNote();
+}
 
-    // Cannot forecast more than 380 hours into the future. Using 15 days for now.
-    const maxDate = new Date();
-    maxDate.setTime(maxDate.getTime() + (15 * 86400000));
+/**
+ * Show any limit of the selected forecast source for the launch date next to the source, before anything is downloaded.
+ */
+function updateSourceCoverageNote() {
+    const coverageNoteElement = document.getElementById(sourceCoverageNoteId);
+    if (null == coverageNoteElement) {
+        return;
+    }
 
-    launchDateElement.max = `${maxDate.getFullYear()}-${(maxDate.getMonth() + 1).toString().padStart(2, '0')}-${maxDate.getDate().toString().padStart(2, '0')}`;
+    let coverageNote = '';
+    const launchDateValue = document.getElementById(launchDateId).value;
+    if (launchDateValue.length >= 10) {
+        const launchDate = new Date(parseInt(launchDateValue.substring(0, 4)), parseInt(launchDateValue.substring(5, 7)) - 1, parseInt(launchDateValue.substring(8, 10)));
+        if (!isNaN(launchDate.getTime())) {
+            coverageNote = createWindDataProvider().getCoverageNote(launchDate);
+        }
+    }
+
+    coverageNoteElement.textContent = coverageNote;
+    coverageNoteElement.hidden = (coverageNote.length < 1);
+}
+
+/**
+ * Limit the launch date to the range covered by the selected forecast source.
+ */
+function updateLaunchDateLimits() {
+    const launchDateElement = document.getElementById(launchDateId);
+    if (null == launchDateElement) {
+        return;
+    }
+
+    if (getForecastSourceIndex() == climatologySourceIndex) {
+        // Climatology only looks at past years, so any future date can be planned for.
+        launchDateElement.removeAttribute('max');
+    } else {
+        // Cannot forecast more than 380 hours into the future. Using 15 days for now.
+        const maxDate = new Date();
+        maxDate.setTime(maxDate.getTime() + (15 * 86400000));
+
+        launchDateElement.max = `${maxDate.getFullYear()}-${(maxDate.getMonth() + 1).toString().padStart(2, '0')}-${maxDate.getDate().toString().padStart(2, '0')}`;
+    }
+}
+
+/**
+ * Disable the fixed standard deviation input when the value will be derived from the wind data instead.
+ */
+function updateStandardDeviationInput() {
+    const standardDeviationInput = document.getElementById(deviationValueId);
+    if (null != standardDeviationInput) {
+        const averageLaunchWindow = (1 == getCsvOptionValue(0, launchWindowModeId, 0, 1));
+        standardDeviationInput.disabled = averageLaunchWindow || (getForecastSourceIndex() > 0);
+    }
+}
+
+/**
+ * Describe when a forecast was downloaded and how long ago that was.
+ * @param {number} fetchedAt - Time the forecast was downloaded (milliseconds since the epoch).
+ * @returns {string} Local date and time followed by the forecast's age.
+ */
+function formatForecastAge(fetchedAt) {
+    const ageMinutes = Math.max(0, Math.round((Date.now() - fetchedAt) / 60000));
+
+    let ageString;
+    if (ageMinutes < 60) {
+        ageString = `${ageMinutes} minutes ago`;
+    } else if (ageMinutes < 2880) {
+        ageString = `${Math.round(ageMinutes / 60)} hours ago`;
+    } else {
+        ageString = `${Math.round(ageMinutes / 1440)} days ago`;
+    }
+
+    return `${new Date(fetchedAt).toLocaleString()} (${ageString})`;
+}
+
+/**
+ * Show how old the forecast is when it was loaded from the local cache instead of downloaded.
+ * @param {?number} fetchedAt - Time the cached forecast was downloaded. Null for a fresh download.
+ */
+function updateForecastAgeDisplay(fetchedAt) {
+    const forecastAgeElement = document.getElementById(forecastAgeId);
+    if (null == forecastAgeElement) {
+        return;
+    }
+
+    if (null == fetchedAt) {
+        forecastAgeElement.textContent = '';
+        forecastAgeElement.hidden = true;
+    } else {
+        forecastAgeElement.textContent = `Using a cached forecast downloaded ${formatForecastAge(fetchedAt)}.`;
+        forecastAgeElement.classList.toggle('stale', (Date.now() - fetchedAt) > (staleForecastHours * 3600000));
+        forecastAgeElement.hidden = false;
+    }
+}
+
+/**
+ * Fill the cached forecast selector with every forecast stored locally.
+ */
+async function updateCachedForecastSelect() {
+    const cachedForecastSelect = document.getElementById(cachedForecastId);
+    if (null == cachedForecastSelect) {
+        return;
+    }
+
+    // Keep the placeholder option and replace everything else.
+    while (cachedForecastSelect.options.length > 1) {
+        cachedForecastSelect.remove(1);
+    }
+
+    for (const record of await forecastCache.list()) {
+        const cachedOption = document.createElement('option');
+        cachedOption.value = record.key;
+        cachedOption.text = `${record.launchDate} ${record.startTime}-${record.endTime} at ${record.latitude}, ${record.longitude} - ${formatForecastAge(record.fetchedAt)}`;
+        cachedForecastSelect.add(cachedOption);
+    }
+}
+
+/**
+ * Copy the launch details of a cached forecast into the UI and switch to field mode so it is used.
+ * @param {string} cacheKey - Key of the selected cached forecast.
+ */
+async function selectCachedForecast(cacheKey) {
+    const record = await forecastCache.get(cacheKey);
+    if (null == record) {
+        return;
+    }
+
+    document.getElementById(launchSiteLatitudeId).value = record.latitude;
+    document.getElementById(launchSiteLongitudeId).value = record.longitude;
+    updateCoordinateEcho(launchSiteLatitudeId, launchSiteLongitudeId, locationEchoId);
+    document.getElementById(launchDateId).value = record.launchDate;
+    document.getElementById(launchTimeId).value = record.startTime;
+    document.getElementById(launchEndTimeId).value = record.endTime;
+    document.getElementById(forecastSourceId).value = record.sourceIndex;
+    document.getElementById(climatologyYearsId).value = record.climatologyYears;
+
+    // Restore the model selection, including any models being compared.
+    if (record.models.length > 0) {
+        document.getElementById(forecastModelId).value = openMeteoForecastModels.indexOf(record.models[0]);
+    }
+    const compareModelsSelect = document.getElementById(compareModelsId);
+    if (null != compareModelsSelect) {
+        for (const compareOption of compareModelsSelect.options) {
+            compareOption.selected = record.models.slice(1).includes(openMeteoForecastModels[parseInt(compareOption.value)]);
+        }
+    }
+
+    const fieldModeCheckbox = document.getElementById(fieldModeId);
+    if (null != fieldModeCheckbox) {
+        fieldModeCheckbox.checked = true;
+    }
+
+    updateForecastModelInputs();
+    updateStandardDeviationInput();
+    askUserToRefreshWindForecast();
+}
+
+/**
+ * Add logic to reset the UI when a data field used to fetch wind forecasts is changed.
+ * @param {string} elementId - Id of the html element the event listener will be added to.
+ */
+function addRefreshWindForecastListener(elementId) {
+    const inputElement = document.getElementById(elementId);
+    if (null != inputElement) {
+        inputElement.addEventListener('change', (event) => {
+            askUserToRefreshWindForecast();
+        });
+    }
+}
+
+/**
+ * Obtain the value from one of the optional CSV formatting fields. Ensure it is valid
+ * based on the other provided information. Otherwise revert to the default value.
+ * @param {int} defaultValue - Value to be returned if fetched data is found to be invalid.
+ * @param {string} optionId - Id of the html element containing the desired value.
+ * @param {int} minValue - Minimum expected value.
+ * @param {int} maxValue - Maximum expected value;
+ * @returns {int} Html element's value converted into an integer if valid. Otherwise the provided default value.
+ */
+function getCsvOptionValue(defaultValue, optionId, minValue, maxValue) {
+    let csvOptionValue = defaultValue;
+    const csvOptionElement = document.getElementById(optionId);
+    if (null != csvOptionElement) {
+        csvOptionValue = parseInt(csvOptionElement.value);
+        if (isNaN(csvOptionValue)) {
+            csvOptionValue = defaultValue;
+        } else if (csvOptionValue < minValue || csvOptionValue > maxValue) {
+            csvOptionValue = defaultValue;
+        }
+    }
+
+    return csvOptionValue;
+}
+
+/**
+ * Get the column name entered for one of the CSV fields.
+ * @param {string} defaultName - Name used when the field is missing or empty.
+ * @param {string} optionId - ID of the name's text input.
+ * @returns {string} Column name.
+ */
+function getCsvOptionName(defaultName, optionId) {
+    const csvOptionElement = document.getElementById(optionId);
+    if (null != csvOptionElement && csvOptionElement.value.length > 0) {
+        return csvOptionElement.value;
+    }
+
+    return defaultName;
+}
+
+/**
+ * Check whether one of the optional CSV columns was selected.
+ * @param {string} optionId - ID of the column's checkbox.
+ * @returns {boolean} True if the checkbox exists and is checked.
+ */
+function getCsvOptionChecked(optionId) {
+    const csvOptionElement = document.getElementById(optionId);
+    return (null != csvOptionElement) && csvOptionElement.checked;
+}
+
+/**
+ * Fired when the whole page has loaded, including all dependent resources except
+ * those that are loaded lazily.
+ */
+window.onload = () => {
+    const launchDateElement = document.getElementById(launchDateId);
+    const startTimeElement = document.getElementById(launchTimeId);
+    const endTimeElement = document.getElementById(launchEndTimeId);
+
+    const currentDate = new Date();
+
+    // Add leading zeros if the numbers are single digit
+    let monthString;
+    if (currentDate.getMonth() < 9) {
+        monthString = '0' + (currentDate.getMonth() + 1).toString();
+    } else {
+        monthString = (currentDate.getMonth() + 1).toString();
+    }
+
+    let dayString;
+    if (currentDate.getDate() < 10) {
+        dayString = '0' + currentDate.getDate().toString();
+    } else {
+        dayString = currentDate.getDate().toString();
+    }
+
+    // Initialize the date element to today
+    launchDateElement.value = `${currentDate.getFullYear()}-${monthString}-${dayString}`;
+
+    updateLaunchDateLimits();
+    updateSourceCoverageNote();
 
     // Initialize the time elements to the current hour plus a max offset
     const currentHour = currentDate.getHours();
@@ -208,114 +980,133 @@ window.onload = () => {
         startTimeElement.value = `${currentHour}:00`;
     }
 
+    // Default to a launch window covering only the starting hour.
+    endTimeElement.value = startTimeElement.value;
+
+
+    // Fill the launch site selector, copying the first saved site into the UI like the original library did.
+    updateLaunchSiteSelect().then(async () => {
+        const launchSiteSelect = document.getElementById(selLaunchSiteNameId);
+        if (null != launchSiteSelect && launchSiteSelect.options.length > 1 && document.getElementById(launchSiteLatitudeId).value.length < 1) {
+            launchSiteSelect.selectedIndex = 1;
+            await selectLaunchSite(launchSiteSelect.value);
+        }
+    });
+
+    // Handle selection of a different launch site from our list
+    document.getElementById(selLaunchSiteNameId).addEventListener('change', (changeEvent) => {
+        if (changeEvent.target.value.length > 0) {
+            selectLaunchSite(changeEvent.target.value);
+        }
+    });
+
+    document.getElementById(btnSaveLaunchSiteId).addEventListener('click', () => {
+        saveLaunchSite();
+    });
+    document.getElementById(btnRenameLaunchSiteId).addEventListener('click', () => {
+        renameLaunchSite();
+    });
+    document.getElementById(btnDeleteLaunchSiteId).addEventListener('click', () => {
+        deleteLaunchSite();
+    });
+
+    // Share the launch site library between club members.
+    const launchSitesFileInput = document.getElementById(launchSitesFileInputId);
+    document.getElementById(btnImportLaunchSitesId).addEventListener('click', () => {
+        launchSitesFileInput.click();
+    });
+    launchSitesFileInput.addEventListener('change', () => {
+        if (launchSitesFileInput.files.length > 0) {
+            importLaunchSites(launchSitesFileInput.files[0]);
+        }
 
-    ////////////////////////////////////////////////////////////////////////////////
-    // It does not appear that sub-domains can access IndexDB at the root domain, so
-    // commenting out all related logic until a solution is identified.
-
-    // // Open our database of launch sites
-    // const dbSitesOpenRequest = window.indexedDB.open('DriftCast_Sites', 1);
-
-    // // Event handlers to act on the database being opened successfully
-    // dbSitesOpenRequest.onsuccess = (event) => {
-    //     // Store the result of opening the database in the db variable. This is used a lot below
-    //     dbLaunchSites = dbSitesOpenRequest.result;
-
-    //     const loadingObjectStore = dbLaunchSites.transaction('DriftCast_Sites').objectStore('DriftCast_Sites');
-
-    //     const countRequest = loadingObjectStore.count();
-    //     countRequest.onsuccess = () => {
-    //         console.log(`Loading ${countRequest.result} launch sites from our database.`);
-    //         if (countRequest.result > 0) {
-    //             let copyDataToUi = true;
-    //             const selLaunchSiteNames = document.getElementById(selLaunchSiteNameId);
-
-    //             // Ensure we do not add duplicate entries
-    //             clearLaunchSiteSelector();
-
-    //             loadingObjectStore.openCursor().onsuccess = (event) => {
-    //                 const cursor = event.target.result;
-    //                 // Check if the cursor still contains valid launch site data
-    //                 if (cursor) {
-    //                     const launchSiteOption = document.createElement('option');
-    //                     launchSiteOption.value = cursor.value.name;
-    //                     launchSiteOption.text = cursor.value.name;
-    //                     selLaunchSiteNames.add(launchSiteOption);
-
-    //                     // Update our cached data associated with the selector
-    //                     launchSiteNames.push(cursor.value.name);
-
-    //                     // Copy the first launch site's data into our UI elements
-    //                     if (copyDataToUi) {
-    //                         updateLaunchSiteDisplay(cursor.value);
-    //                         copyDataToUi = false;
-    //                     }
-                        
-    //                     // Continue on to the next item in the cursor
-    //                     cursor.continue();
-    //                 } else {
-    //                     // There is no more data to load
-    //                     return;
-    //                 }
-    //             };
-    //         }
-    //     }
-    // };
-
-    // // Handling any errors, though not really sure what a good response should be
-    // dbSitesOpenRequest.onerror = (event) => {
-    //     console.error('Error loading launch site database.');
-    //     console.error(event);
-    // };
-
-    // // Create our database since it does not currently exist
-    // dbSitesOpenRequest.onupgradeneeded = (event) => {
-    //     dbLaunchSites = event.target.result;
-    //     console.log('Creating our database.');
-
-    //     dbLaunchSites.onerror = (event) => {
-    //         console.error('Error loading database.');
-    //     };
-
-    //     // Create an objectStore for this database
-    //     const objectStore = dbLaunchSites.createObjectStore('DriftCast_Sites', { keyPath: 'name' });
-
-    //     // Define what data items the objectStore will contain
-    //     objectStore.createIndex('latitude', 'latitude', { unique: false });
-    //     objectStore.createIndex('longitude', 'longitude', { unique: false });
-    //     objectStore.createIndex('elevation', 'elevation', { unique: false });
-    //     objectStore.createIndex(waiverLatitudeId, waiverLatitudeId, { unique: false });
-    //     objectStore.createIndex(waiverLongitudeId, waiverLongitudeId, { unique: false });
-    //     objectStore.createIndex(waiverRadiusId, waiverRadiusId, { unique: false });
-    //     objectStore.createIndex(waiverAltitudeId, waiverAltitudeId, { unique: false });
-    // };
-
-    // // Handle selection of a different launch site from our list
-    // document.getElementById(selLaunchSiteNameId).addEventListener('change', (changeEvent) => {
-    //     if (null != dbLaunchSites) {
-    //         // Retrieve the selected launch site's details from our database
-    //         dbLaunchSites.transaction('DriftCast_Sites')
-    //             .objectStore('DriftCast_Sites')
-    //             .get(changeEvent.target.value)
-    //             .onsuccess = (dbEvent) => {
-    //                 updateLaunchSiteDisplay(dbEvent.target.result);
-    //             };
-    //     }
-    // });
+        // Allow the same file to be picked again.
+        launchSitesFileInput.value = '';
+    });
+    document.getElementById(btnExportLaunchSitesId).addEventListener('click', () => {
+        exportLaunchSites();
+    });
 
     // Treat the wind forecast data as invalid when any input options are modified.
     launchDateElement.addEventListener('change', (event) => {
+        updateSourceCoverageNote();
         askUserToRefreshWindForecast();
     });
 
     // Try to keep the end time within a valid range of the start time
     startTimeElement.addEventListener('change', (event) => {
+        if (endTimeElement.value < startTimeElement.value) {
+            endTimeElement.value = startTimeElement.value;
+        }
         askUserToRefreshWindForecast();
     });
 
+    // Likewise keep the start time from falling after the end time
+    endTimeElement.addEventListener('change', (event) => {
+        if (endTimeElement.value < startTimeElement.value) {
+            startTimeElement.value = endTimeElement.value;
+        }
+        askUserToRefreshWindForecast();
+    });
+
+    // Coordinates may be typed in other formats, so read them before anything else uses them.
+    for (const [latitudeId, longitudeId, echoId] of [[launchSiteLatitudeId, launchSiteLongitudeId, locationEchoId],
+                                                      [waiverLatitudeId, waiverLongitudeId, waiverLocationEchoId]]) {
+        for (const elementId of [latitudeId, longitudeId]) {
+            document.getElementById(elementId).addEventListener('change', (event) => {
+                normalizeCoordinateInputs(latitudeId, longitudeId, echoId);
+            });
+        }
+    }
+
+    const useMyLocationButton = document.getElementById(btnUseMyLocationId);
+    if (null != useMyLocationButton) {
+        useMyLocationButton.hidden = !('geolocation' in navigator);
+        useMyLocationButton.addEventListener('click', () => {
+            useDeviceLocation();
+        });
+    }
+
     addRefreshWindForecastListener(launchSiteLatitudeId);
     addRefreshWindForecastListener(launchSiteLongitudeId);
 
+    addRefreshWindForecastListener(forecastSourceId);
+    addRefreshWindForecastListener(climatologyYearsId);
+    document.getElementById(climatologyYearsId)?.addEventListener('change', (event) => {
+        updateSourceCoverageNote();
+    });
+    addRefreshWindForecastListener(fieldModeId);
+
+    // Load the launch details of a cached forecast when one is picked.
+    const cachedForecastSelect = document.getElementById(cachedForecastId);
+    if (null != cachedForecastSelect) {
+        cachedForecastSelect.addEventListener('change', (event) => {
+            if (cachedForecastSelect.value.length > 0) {
+                selectCachedForecast(cachedForecastSelect.value);
+            }
+        });
+    }
+    updateCachedForecastSelect();
+    addRefreshWindForecastListener(forecastModelId);
+    addRefreshWindForecastListener(compareModelsId);
+
+    const forecastSourceSelect = document.getElementById(forecastSourceId);
+    if (null != forecastSourceSelect) {
+        forecastSourceSelect.addEventListener('change', (event) => {
+            updateForecastModelInputs();
+        });
+    }
+
+    // The standard deviation is derived from the data when averaging the launch window or using an ensemble.
+    for (const elementId of [launchWindowModeId, forecastSourceId]) {
+        const inputElement = document.getElementById(elementId);
+        if (null != inputElement) {
+            inputElement.addEventListener('change', (event) => {
+                updateStandardDeviationInput();
+            });
+        }
+    }
+
     // Toggle CSV option visiblity.
     const csvOptionsContainer = document.getElementById(csvOptionsContainerId);
     const showCsvButton = document.getElementById(csvOptionsToggleId);
@@ -454,10 +1245,90 @@ window.onload = () => {
 
         // Prevent the user from requesting another forecast while this one is pending.
         e.target.disabled = true;
+        hideModelComparison();
+        hideWindWarnings();
 
         // Kick off the wind forecast download and then generate the CSV file.
         saveORWindCSV();
     });
+
+    // Replay a previously saved forecast instead of downloading one.
+    const forecastFileInput = document.getElementById(forecastFileInputId);
+    document.getElementById(btnOpenForecastFileId).addEventListener('click', () => {
+        forecastFileInput.click();
+    });
+    forecastFileInput.addEventListener('change', () => {
+        if (forecastFileInput.files.length > 0) {
+            openForecastFile(forecastFileInput.files[0]);
+        }
+
+        // Allow the same file to be picked again.
+        forecastFileInput.value = '';
+    });
+
+    document.getElementById(btnSaveForecastFileId).addEventListener('click', () => {
+        saveForecastFile();
+    });
+
+    // Create wind files from an observed radiosonde sounding.
+    const soundingFileInput = document.getElementById(soundingFileInputId);
+    document.getElementById(btnOpenSoundingFileId).addEventListener('click', () => {
+        soundingFileInput.click();
+    });
+    soundingFileInput.addEventListener('change', () => {
+        if (soundingFileInput.files.length > 0) {
+            openSoundingFile(soundingFileInput.files[0]);
+        }
+
+        // Allow the same file to be picked again.
+        soundingFileInput.value = '';
+    });
+
+    // Reconstruct the winds a recovered rocket drifted through.
+    const flightLogInput = document.getElementById(flightLogInputId);
+    document.getElementById(btnOpenFlightLogId).addEventListener('click', () => {
+        flightLogInput.click();
+    });
+    flightLogInput.addEventListener('change', () => {
+        if (flightLogInput.files.length > 0) {
+            openFlightLogFile(flightLogInput.files[0]);
+        }
+
+        // Allow the same file to be picked again.
+        flightLogInput.value = '';
+    });
+
+    // Predict the landing again whenever the descent or waiver changes.
+    for (const elementId of [driftApogeeId, driftDrogueRateId, driftMainRateId, driftMainAltitudeId, driftUnitId,
+                             waiverLatitudeId, waiverLongitudeId, waiverRadiusId, waiverAltitudeId, waiverAltitudeReferenceId]) {
+        const inputElement = document.getElementById(elementId);
+        if (null != inputElement) {
+            inputElement.addEventListener('change', (event) => {
+                updateDriftPrediction();
+            });
+        }
+    }
+
+    // Write the wind straight into the simulations of an OpenRocket design.
+    const rocketFileInput = document.getElementById(rocketFileInputId);
+    document.getElementById(btnOpenRocketFileId).addEventListener('click', () => {
+        rocketFileInput.click();
+    });
+    rocketFileInput.addEventListener('change', () => {
+        if (rocketFileInput.files.length > 0) {
+            openRocketFile(rocketFileInput.files[0]);
+        }
+
+        // Allow the same file to be picked again.
+        rocketFileInput.value = '';
+    });
+
+    // Stop a forecast download that is taking too long.
+    document.getElementById(btnCancelRequestId).addEventListener('click', () => {
+        if (null != activeRequestController) {
+            activeRequestController.abort();
+        }
+    });
 }
 
 /**
@@ -479,23 +1350,93 @@ function linearInterpolate(sourceValue, sourceLower, sourceUpper, targetLower, t
 }
 
 /**
- * Generate a URI to fetch a wind forecast based on user provided information.
+ * Obtain the deterministic weather models selected by the user.
+ * @returns {Array<string>} Open-Meteo names of the primary model followed by any models being compared.
+ */
+function getForecastModels() {
+    const comparisonModels = getComparisonModels();
+    if (comparisonModels.length > 0) {
+        return comparisonModels;
+    }
+
+    return [openMeteoForecastModels[getCsvOptionValue(0, forecastModelId, 0, openMeteoForecastModels.length - 1)]];
+}
+
+/**
+ * Check whether the user wants pressure level heights converted from geopotential to geometric height.
+ * @returns {boolean} True unless the user turned the conversion off.
+ */
+function useGeometricHeights() {
+    const geometricHeightCheckbox = document.getElementById(geometricHeightId);
+    return (null == geometricHeightCheckbox) || geometricHeightCheckbox.checked;
+}
+
+/**
+ * Select the wind data provider matching the user's forecast options. Opening the page with
+ * ?provider=mock&data=<url> serves canned profiles from a local file or server instead, and
+ * ?provider=mock alone serves the bundled fixture profile.
+ * @returns {WindDataProvider} Provider used to obtain the wind data.
+ */
+function createWindDataProvider() {
+    const pageParameters = new URLSearchParams(window.location.search);
+    if ('mock' == pageParameters.get('provider')) {
+        return new MockWindProvider(pageParameters.get('data'));
+    }
+
+    const forecastSourceIndex = getForecastSourceIndex();
+    if (forecastSourceIndex == climatologySourceIndex) {
+        return new OpenMeteoProvider({ climatologyYears: getCsvOptionValue(defaultClimatologyYears, climatologyYearsId, 1, 30), maxRetries: openMeteoMaxRetries, geometricHeights: useGeometricHeights() });
+    } else if (forecastSourceIndex > 0) {
+        return new OpenMeteoProvider({ ensembleModel: openMeteoEnsembleModels[forecastSourceIndex], maxRetries: openMeteoMaxRetries, geometricHeights: useGeometricHeights() });
+    }
+
+    return new OpenMeteoProvider({ forecastModels: getForecastModels(), maxRetries: openMeteoMaxRetries, geometricHeights: useGeometricHeights() });
+}
+
+/**
+ * Obtain the wind data for the launch details entered by the user and convert it into wind profiles.
  */
-async function requestOpenMeteoWind() {
-    // Clear out any previously fetched wind forecast data.
-    openMeteoWindJSON = null;
+async function requestWindData() {
+    // Clear out any previously obtained wind data.
+    windData = null;
+    windProfiles = [];
+    windAltitudeNote = '';
+    windDataIsClimatology = false;
+
+    const saveForecastButton = document.getElementById(btnSaveForecastFileId);
+    if (null != saveForecastButton) {
+        saveForecastButton.disabled = true;
+    }
 
     const statusDisplayElement = document.getElementById(statusDisplayId);
 
-    const launchTimes = new LaunchTimeData( document.getElementById(launchDateId).value,
+    let launchTimes = null;
+    try {
+        launchTimes = new LaunchTimeData(   document.getElementById(launchDateId).value,
                                             document.getElementById(launchTimeId).value,
-                                            document.getElementById(launchTimeId).value);
+                                            document.getElementById(launchEndTimeId).value);
+    } catch (error) {
+        console.error(error.message);
+
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = error.message;
+        }
+
+        // Allow the user to request a new wind forecast.
+        const saveCsvFileButton = document.getElementById(btnSaveCsvFileId);
+        if (null != saveCsvFileButton) {
+            saveCsvFileButton.disabled = false;
+        }
+        return;
+    }
+
+    const windDataProvider = createWindDataProvider();
 
     // Verify the launch hour offsets are within our expectations
-    if (launchTimes.startHourOffset > 360) {
+    if (launchTimes.endHourOffset > windDataProvider.maxLeadHours) {
         // Let the user know something bad happened.
         if (null != statusDisplayElement) {
-            statusDisplayElement.textContent = 'Cannot forecast more than 15 days into the future.';
+            statusDisplayElement.textContent = `Cannot forecast more than ${Math.floor(windDataProvider.maxLeadHours / 24)} days into the future.`;
         }
 
         // Allow the user to request a new wind forecast.
@@ -503,7 +1444,7 @@ async function requestOpenMeteoWind() {
         if (null !== saveCsvFileButton) {
             saveCsvFileButton.disabled = false;
         }
-        return openMeteoWindJSON;
+        return;
     }
 
     // Default to using the launch site's location for our apogee position
@@ -519,80 +1460,64 @@ async function requestOpenMeteoWind() {
         if (null != saveCsvFileButton) {
             saveCsvFileButton.disabled = false;
         }
-        return openMeteoWindJSON;
-    }
-
-    ////////////////////////////////////////////////////////////////////////////////
-    // Duplicating getOpenMeteoWindPredictionData()
-    ////////////////////////////////////////////////////////////////////////////////
-
-    // Begin forming a request for Open-Meteo's API with the launch location.
-    let fetchRequest = 'https://';
-
-    // Check if the launch occured more than a week in the past (7 x 24 = 168 hours)
-    if (launchTimes.startHourOffset < -168) {
-        fetchRequest += 'historical-forecast-';
+        return;
     }
 
-    fetchRequest += `api.open-meteo.com/v1/forecast?latitude=${launchLocation.latitude}&longitude=${launchLocation.longitude}`;
+    const cacheKey = ForecastCache.createKey(launchLocation, launchTimes.getStartTimeAsISOString(), launchTimes.getEndTimeAsISOString(), windDataProvider.getSourceName(launchTimes));
+    let cachedRecord = null;
 
-    // Specify the launch's active hours.
-    fetchRequest += `&start_hour=${launchTimes.getStartTimeAsISOString()}&end_hour=${launchTimes.getStartTimeAsISOString()}`;
-
-    // Use the launch site's timezone
-    fetchRequest += '&timezone=auto';
-
-    // Request wind speeds to be in meters per second.
-    fetchRequest += '&wind_speed_unit=ms';
-
-    // Prepare for hourly forecast parameters.
-    fetchRequest += '&hourly=';
+    const fieldModeCheckbox = document.getElementById(fieldModeId);
+    if (null != fieldModeCheckbox && fieldModeCheckbox.checked) {
+        // Field mode never touches the network.
+        cachedRecord = await forecastCache.get(cacheKey);
+        if (null == cachedRecord) {
+            if (null != statusDisplayElement) {
+                statusDisplayElement.textContent = 'No cached forecast matches these launch details.';
+            }
 
-    // Request wind speeds at set heights above ground level.
-    let addComma = false;
-    for (const altitude of openMeteoWindAltitudes) {
-        if (addComma) {
-            fetchRequest += ',';
-        } else {
-            addComma = true;
+            // Allow the user to request a new wind forecast.
+            const saveCsvFileButton = document.getElementById(btnSaveCsvFileId);
+            if (null != saveCsvFileButton) {
+                saveCsvFileButton.disabled = false;
+            }
+            return;
+        }
+    } else {
+        // Let the user cancel the download while it is in progress.
+        activeRequestController = new AbortController();
+        const cancelRequestButton = document.getElementById(btnCancelRequestId);
+        if (null != cancelRequestButton) {
+            cancelRequestButton.hidden = false;
         }
-        fetchRequest += `wind_speed_${altitude}m`;
-    }
 
-    // Request wind directions at set heights above ground level.
-    for (const altitude of openMeteoWindAltitudes) {
-        fetchRequest += `,wind_direction_${altitude}m`;
-    }
+        try {
+            windData = await windDataProvider.fetchData({
+                location: launchLocation,
+                launchTimes: launchTimes,
+                signal: activeRequestController.signal,
+                timeoutSeconds: getCsvOptionValue(30, requestTimeoutId, 5, 300),
+                onStatus: (statusMessage) => {
+                    if (null != statusDisplayElement) {
+                        statusDisplayElement.textContent = statusMessage;
+                    }
+                },
+            });
+        } catch (error) {
+            console.error(error.message);
+            windData = null;
+
+            // Only fall back to an earlier download when the user did not cancel.
+            if ('AbortError' != error.name) {
+                cachedRecord = await forecastCache.get(cacheKey);
+            }
 
-    // Request wind speeds at all atmospheric pressure levels.
-    for (const pressure of openMeteoPressureLevels) {
-        fetchRequest +=`,wind_speed_${pressure}hPa`;
-    }
-
-    // Request wind directions at all atmospheric pressure levels.
-    for (const pressure of openMeteoPressureLevels) {
-        fetchRequest +=`,wind_direction_${pressure}hPa`;
-    }
-
-    // Request geopotential height at all atmospheric pressure levels.
-    for (const pressure of openMeteoPressureLevels) {
-        fetchRequest +=`,geopotential_height_${pressure}hPa`;
-    }
-
-    console.log(fetchRequest);
-    
-    try {
-        const openMeteoPromise = await fetch(fetchRequest);
-
-        if (openMeteoPromise.ok) {
-            openMeteoWindJSON = await openMeteoPromise.json();
-
-            if (null == openMeteoWindJSON) {
-                console.debug('Open-Meteo wind forecast is null.');
-                
-                // Let the user know something bad happened.
+            if (null == cachedRecord) {
                 if (null != statusDisplayElement) {
-                    statusDisplayElement.textContent = 'The wind forecast was not available.'
+                    if ('AbortError' == error.name) {
+                        statusDisplayElement.textContent = 'The download was cancelled.';
+                    } else {
+                        statusDisplayElement.textContent = error.message;
+                    }
                 }
 
                 // Allow the user to request a new wind forecast.
@@ -600,229 +1525,134 @@ async function requestOpenMeteoWind() {
                 if (null != saveCsvFileButton) {
                     saveCsvFileButton.disabled = false;
                 }
-            } else {
-                // No need to continue showing our text feedback now that results are ready.
-                if (null != statusDisplayElement) {
-                    statusDisplayElement.textContent = 'Creating the CSV file.'
-                }
-
-                // Allow the user to save now that valid drift and landing data is available.
-                const saveCsvFileButton = document.getElementById(btnSaveCsvFileId);
-                if (null != saveCsvFileButton) {
-                    saveCsvFileButton.disabled = false;
-                    saveCsvFileButton.scrollIntoView({ behavior: "instant", block: "start" });
-                }
+                return;
             }
-        } else {
-            console.error(`Open-Meteo response status: ${openMeteoPromise.status}`);
-
-            if (null != statusDisplayElement) {
-                statusDisplayElement.textContent = `Open-Meteo response status: ${openMeteoPromise.status}`;
+        } finally {
+            activeRequestController = null;
+            if (null != cancelRequestButton) {
+                cancelRequestButton.hidden = true;
             }
         }
-    } catch (error) {
-        console.error(error.message);
+    }
 
-        const statusDisplayElement = document.getElementById(statusDisplayId);
-        if (null != statusDisplayElement) {
-            statusDisplayElement.textContent = `Encounterd an error: ${error.message}`;
+    if (null != cachedRecord) {
+        windData = cachedRecord.json;
+        updateForecastAgeDisplay(cachedRecord.fetchedAt);
+    } else if (null != windData) {
+        updateForecastAgeDisplay(null);
+
+        // Keep a copy of every download for use without a network connection.
+        await forecastCache.put({
+            key: cacheKey,
+            latitude: launchLocation.latitude,
+            longitude: launchLocation.longitude,
+            launchDate: document.getElementById(launchDateId).value,
+            startTime: document.getElementById(launchTimeId).value,
+            endTime: document.getElementById(launchEndTimeId).value,
+            sourceIndex: getForecastSourceIndex(),
+            models: (getForecastSourceIndex() > 0) ? [] : getForecastModels(),
+            climatologyYears: getCsvOptionValue(defaultClimatologyYears, climatologyYearsId, 1, 30),
+            fetchedAt: Date.now(),
+            json: windData,
+        });
+        await updateCachedForecastSelect();
+    }
+
+    if (null != windData) {
+        try {
+            windProfiles = windDataProvider.createProfiles(windData);
+            windAltitudeNote = windDataProvider.altitudeNote;
+            windDataIsClimatology = windDataProvider.isClimatology;
+        } catch (error) {
+            console.error(error.message);
+            windProfiles = [];
         }
     }
-}
 
-/**
- * Convert wind at altitude data into OpenRocket's expected CSV format.
- */
-async function saveORWindCSV() {
-    // Nothing can be done until the wind data has been obtained.
-    await requestOpenMeteoWind();
+    if (windProfiles.length < 1) {
+        console.debug(`${windDataProvider.name} wind data is not usable.`);
 
-    // Ensure valid wind data is now available.
-    if (null == openMeteoWindJSON) {
-        return;
-    }
-    
-    const statusDisplayElement = document.getElementById(statusDisplayId);
-    if ('hourly' in openMeteoWindJSON) {
-        if (('time' in openMeteoWindJSON.hourly) === false) {
-            if (null != statusDisplayElement) {
-                statusDisplayElement.textContent = 'Open-Meteo JSON has no [time] data.';
-            } else {
-                console.log('Open-Meteo JSON has no [time] data.');
-            }
-            return;
+        // Let the user know something bad happened.
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = 'The wind forecast was not available.'
+        }
+
+        // Allow the user to request a new wind forecast.
+        const saveCsvFileButton = document.getElementById(btnSaveCsvFileId);
+        if (null != saveCsvFileButton) {
+            saveCsvFileButton.disabled = false;
         }
     } else {
+        // No need to continue showing our text feedback now that results are ready.
         if (null != statusDisplayElement) {
-            statusDisplayElement.textContent = 'Open-Meteo JSON has no [hourly] data.';
-        } else {
-            console.log('Open-Meteo JSON has no [hourly] data.');
-        }
-        return;
-    }
-            
-    let groundElevation = 0;
-    if ('elevation' in openMeteoWindJSON) {
-        if (null != openMeteoWindJSON.elevation) {
-            groundElevation = openMeteoWindJSON.elevation;
+            statusDisplayElement.textContent = 'Creating the CSV file.'
         }
-    }
-
-    // Create arrays to hold converted data.
-    let altitudeWinds = [];
-    let pressureWinds = [];
-
-    // Request wind directions at set heights above ground level.
-    for (const altitude of openMeteoWindAltitudes) {
-        const speedName = `wind_speed_${altitude}m`;
-        const directionName = `wind_direction_${altitude}m`;
-
-        if (speedName in openMeteoWindJSON.hourly && directionName in openMeteoWindJSON.hourly) {
-            if (openMeteoWindJSON.hourly[speedName].length < 1) {
-                console.log(`Altitude wind speed list ${openMeteoWindJSON.hourly[speedName].length} is too small for hour index ${hourIndex}.`);
-                continue;
-            }
-            if (openMeteoWindJSON.hourly[directionName].length < 1) {
-                console.log(`Altitude wind direction list ${openMeteoWindJSON.hourly[speedName].length} is too small for hour index ${hourIndex}.`);
-                continue;
-            }
-
-            const windSpeed = openMeteoWindJSON.hourly[speedName][0];
-            const windDirection = openMeteoWindJSON.hourly[directionName][0];
-
-            if (null == windSpeed || null == windDirection) {
-                console.log(`Wind at altitude ${altitude} is null.`);
-                continue;
-            }
 
-            altitudeWinds.push(new WindAtAltitude(altitude + groundElevation, windSpeed, windDirection));
+        // Allow the user to save now that valid drift and landing data is available.
+        const saveCsvFileButton = document.getElementById(btnSaveCsvFileId);
+        if (null != saveCsvFileButton) {
+            saveCsvFileButton.disabled = false;
+            saveCsvFileButton.scrollIntoView({ behavior: "instant", block: "start" });
         }
-    }
-
-    for (const pressure of openMeteoPressureLevels) {
-        const speedName = `wind_speed_${pressure}hPa`;
-        const directionName = `wind_direction_${pressure}hPa`;
-        const heightName = `geopotential_height_${pressure}hPa`;
-
-        if (speedName in openMeteoWindJSON.hourly && directionName in openMeteoWindJSON.hourly && heightName in openMeteoWindJSON.hourly) {
-            if (openMeteoWindJSON.hourly[speedName].length < 1) {
-                console.log(`Altitude wind speed list ${openMeteoWindJSON.hourly[speedName].length} is too small.`);
-                continue;
-            }
-            if (openMeteoWindJSON.hourly[directionName].length < 1) {
-                console.log(`Altitude wind direction list ${openMeteoWindJSON.hourly[speedName].length} is too small.`);
-                continue;
-            }
-            if (openMeteoWindJSON.hourly[heightName].length < 1) {
-                console.log(`Altitude height list ${openMeteoWindJSON.hourly[heightName].length} is too small.`);
-                continue;
-            }
-
-            const windSpeed = openMeteoWindJSON.hourly[speedName][0];
-            const windDirection = openMeteoWindJSON.hourly[directionName][0];
-            const windHeight = openMeteoWindJSON.hourly[heightName][0];
-
-            if (null == windSpeed || null == windDirection || null == windHeight) {
-                console.log(`Wind at pressure ${pressure} is null.`);
-                continue;
-            }
 
-            pressureWinds.push(new WindAtAltitude(windHeight, windSpeed, windDirection));
+        // The raw forecast can now be archived.
+        if (null != saveForecastButton) {
+            saveForecastButton.disabled = false;
         }
     }
+}
 
-    let groundWindSpeed = 0;
-    let groundWindDirection = 0;
-    let windList = [];
-
-    // Combine altitude and pressure based winds into a single, ascending list.
-    // Preference is placed on altitude based winds as they seem most consistent.
-    if (pressureWinds.length > 0) {
-        if (pressureWinds[0].altitude > 0) {
-            // Use any altitude based data which is closer to ground.
-            for (const altWind of altitudeWinds) {
-                if (altWind.altitude < pressureWinds[0].altitude) {
-                    if (0 == windList.length) {
-                        // Set ground wind values based on the lowest entry.
-                        groundWindSpeed = altWind.windSpeed;
-                        groundWindDirection = altWind.windDirection;
-                        windList.push(new WindAtAltitude(0, groundWindSpeed, groundWindDirection));
-                    }
-                    windList.push(altWind);
-                } else {
-                    break;
-                }
-            }
-
-            // Now add all the atmospheric pressure based wind.
-            for (let windIndex = 0; windIndex < pressureWinds.length; ++windIndex) {
-                const presWind = pressureWinds[windIndex];
-
-                if (0 == windList.length) {
-                    // Set ground wind values if no altitude entry was used.
-                    groundWindSpeed = presWind.windSpeed;
-                    groundWindDirection = presWind.windDirection;
-                    windList.push(new WindAtAltitude(0, groundWindSpeed, groundWindDirection));
-                }
+/**
+ * Generate a file name based on the date and hour of a forecast.
+ * @param {string} forecastTime - Forecast time in ISO 8601 format (YYYY-MM-DDTHH:MM).
+ * @param {string} [nameSuffix] - Text appended to the end of the name (Ex: the weather model).
+ * @returns {string} File name without an extension (Ex: wind_2026-10-19T10).
+ */
+function getWindFileBaseName(forecastTime, nameSuffix = '') {
+    const forecastYear = parseInt(forecastTime.slice(0, 4));
+    const forecastMonth = parseInt(forecastTime.slice(5, 7));
+    const forecastDate = parseInt(forecastTime.slice(8, 10));
+    const forecastHour = parseInt(forecastTime.slice(11, 13));
+    return `wind_${forecastYear}-${forecastMonth.toString().padStart(2, '0')}-${forecastDate.toString().padStart(2, '0')}T${forecastHour.toString().padStart(2, '0')}${nameSuffix}`;
+}
 
-                windList.push(presWind);
-            }
-        } else {
-            // Find the first wind entry above ground level.
-            let windIndex = 1
-            for (; windIndex < pressureWinds.length; ++windIndex) {
-                if (pressureWinds[windIndex].altitude > 0) {
-                    // Interpolate wind speed at zero altitude.
-                    const groundAltitudeRatio = Math.abs(pressureWinds[windIndex - 1].altitude) / (pressureWinds[windIndex].altitude - pressureWinds[windIndex - 1].altitude);
-                    const speedDelta = Math.abs(pressureWinds[windIndex].windSpeed - pressureWinds[windIndex - 1].windSpeed);
-                    if (0 == speedDelta) {
-                        groundWindSpeed = pressureWinds[windIndex].windSpeed;
-                    } else {
-                        groundWindSpeed = groundAltitudeRatio * speedDelta;
-                        if (pressureWinds[windIndex].windSpeed < pressureWinds[windIndex - 1].windSpeed) {
-                            groundWindSpeed += pressureWinds[windIndex].windSpeed;
-                        } else {
-                            groundWindSpeed += pressureWinds[windIndex - 1].windSpeed;
-                        }
-                    }
+/**
+ * Reduce the profiles sharing a single time into one wind list. Ensemble members are reduced to
+ * the ensemble mean with the spread of the members as the standard deviation.
+ * @param {Array<WindProfile>} timeProfiles - Profiles valid at the same time.
+ * @returns {Array<WindAtAltitude>} Winds with altitudes in meters MSL.
+ */
+function combineWindProfiles(timeProfiles) {
+    if (timeProfiles.length < 2) {
+        return (1 == timeProfiles.length) ? timeProfiles[0].winds : [];
+    }
 
-                    // Interpolate wind direction at zero altitude.
-                    let directionDelta = Math.abs(pressureWinds[windIndex].windDirection - pressureWinds[windIndex - 1].windDirection);
-                    if (0 == directionDelta) {
-                        groundWindDirection = pressureWinds[windIndex].windDirection;
-                    } else if (directionDelta < 180.0) {
-                        // Perform normal interpolation since the directions do not span across North.
-                        if (pressureWinds[windIndex].windDirection < pressureWinds[windIndex - 1].windDirection) {
-                            groundWindDirection = pressureWinds[windIndex].windDirection;
-                        } else {
-                            groundWindDirection = pressureWinds[windIndex - 1].windDirection;
-                        }
-                        groundWindDirection += (groundAltitudeRatio * directionDelta);
-                    } else {
-                        // Adjust directions to avoid spaning across North.
-                        const firstDirection = pressureWinds[windIndex - 1].windDirection - 180.0;
-                        const secondDirection = pressureWinds[windIndex].windDirection - 180.0;
-                        directionDelta = Math.abs(firstDirection - secondDirection);
-
-                        // Now proceed with the interpolation.
-                        groundWindDirection = (firstDirection < secondDirection) ? firstDirection : secondDirection;
-                        groundWindDirection += (groundAltitudeRatio * directionDelta) + 180.0;
-                    }
-                    windList.push(new WindAtAltitude(0, groundWindSpeed, groundWindDirection));
-                    break;
-                }
-            }
+    return averageWindLists(timeProfiles.map((windProfile) => windProfile.winds));
+}
 
-            // Add all the remaining wind entries above ground level.
-            for (; windIndex < pressureWinds.length; ++windIndex) {
-                windList.push(pressureWinds[windIndex]);
-            }
+/**
+ * Group wind profiles by the time they are valid for.
+ * @param {Array<WindProfile>} profiles - Profiles to be grouped.
+ * @returns {Map<string, Array<WindProfile>>} Profiles keyed by valid time, in order of first appearance.
+ */
+function groupWindProfilesByTime(profiles) {
+    let timeProfiles = new Map();
+    for (const windProfile of profiles) {
+        if (!timeProfiles.has(windProfile.validTime)) {
+            timeProfiles.set(windProfile.validTime, []);
         }
+        timeProfiles.get(windProfile.validTime).push(windProfile);
     }
-    
 
-    // Pull in all the configurable options to generate the CSV header.
-    // Fall back to the same defaults as OpenRocket for any invalid settings.
+    return timeProfiles;
+}
+
+/**
+ * Pull in all the configurable options used to format the CSV file.
+ * Falls back to the same defaults as OpenRocket for any invalid settings.
+ * @returns {object} Names, unit indices, standard deviation, optional atmosphere columns, field separator, altitude grid and waiver cutoff (in meters), gust mode, and surface and upper wind models for the CSV file.
+ */
+function getCsvFormatOptions() {
     let fieldSeparator = ',';
     const fieldSeparatorValueSelect = document.getElementById(fieldSeparatorValueId);
     if (null != fieldSeparatorValueSelect) {
@@ -866,15 +1696,6 @@ async function saveORWindCSV() {
         }
     }
 
-    // Generate a header row as the first entry in the string array.
-    let stringArray = [`${altitudeName}${fieldSeparator}${windSpeedName}${fieldSeparator}${windDirectionName}${fieldSeparator}${standardDeviationName}\n`];
-
-    // Pull in all the remaining configurable options to format the CSV data rows.
-    // Fall back to the same defaults as OpenRocket for any invalid settings.
-    const altitudeUnitIndex = getCsvOptionValue(0, altitudeUnitId, 0, 5);
-    const altitudeReferenceIndex = getCsvOptionValue(0, altitudeReferenceId, 0, 1);
-    const windSpeedUnitIndex = getCsvOptionValue(0, windSpeedUnitId, 0, 4);
-    const windDirectionUnitIndex = getCsvOptionValue(0, windDirectionUnitId, 0, 2);
     const standardDeviationUnitIndex = getCsvOptionValue(0, deviationUnitId, 0, 4);
 
     let standardDeviation = 0.2;
@@ -905,7 +1726,7 @@ async function saveORWindCSV() {
                     break;
                 case 4: // kt
                     if (standardDeviation > 3.89) {
-                        standardDeviation = 3.89;  
+                        standardDeviation = 3.89;
                     }
                     break;
                 default: // m/s
@@ -916,16 +1737,333 @@ async function saveORWindCSV() {
         }
     }
 
+    // The altitude grid is entered in the selected altitude unit but applied in meters.
+    const altitudeUnitIndex = getCsvOptionValue(0, altitudeUnitId, 0, 5);
+    const metersPerAltitudeUnit = 1.0 / convertAltitudeFromMeters(1.0, altitudeUnitIndex);
+
+    let resampleStep = 0;
+    const resampleStepInput = document.getElementById(resampleStepId);
+    if (null != resampleStepInput) {
+        resampleStep = parseFloat(resampleStepInput.value);
+        if (isNaN(resampleStep) || resampleStep < 0.0) {
+            resampleStep = 0;
+        }
+    }
+
+    let waiverMargin = 0;
+    const waiverMarginInput = document.getElementById(waiverMarginId);
+    if (null != waiverMarginInput) {
+        waiverMargin = parseFloat(waiverMarginInput.value);
+        if (isNaN(waiverMargin) || waiverMargin < 0.0) {
+            waiverMargin = 0;
+        }
+    }
+
+    let resampleCeiling = 0;
+    const resampleCeilingInput = document.getElementById(resampleCeilingId);
+    if (null != resampleCeilingInput) {
+        resampleCeiling = parseFloat(resampleCeilingInput.value);
+        if (isNaN(resampleCeiling) || resampleCeiling < 0.0) {
+            resampleCeiling = 0;
+        }
+    }
+
+    return {
+        fieldSeparator: fieldSeparator,
+        altitudeName: altitudeName,
+        windSpeedName: windSpeedName,
+        windDirectionName: windDirectionName,
+        standardDeviationName: standardDeviationName,
+        altitudeUnitIndex: altitudeUnitIndex,
+        altitudeReferenceIndex: getCsvOptionValue(0, altitudeReferenceId, 0, 1),
+        windSpeedUnitIndex: getCsvOptionValue(0, windSpeedUnitId, 0, 4),
+        windDirectionUnitIndex: getCsvOptionValue(0, windDirectionUnitId, 0, 2),
+        standardDeviationUnitIndex: standardDeviationUnitIndex,
+        standardDeviation: standardDeviation,
+        interpolationMethod: interpolationMethods[getCsvOptionValue(0, interpolationMethodId, 0, interpolationMethods.length - 1)],
+        resampleStep: resampleStep * metersPerAltitudeUnit,
+        resampleCeiling: resampleCeiling * metersPerAltitudeUnit,
+        waiverCutoff: getCsvOptionChecked(waiverCutoffId),
+        waiverMargin: waiverMargin * metersPerAltitudeUnit,
+        surfaceLayerMethod: surfaceLayerMethods[getCsvOptionValue(0, surfaceModelId, 0, surfaceLayerMethods.length - 1)],
+        surfaceTerrain: surfaceTerrains[getCsvOptionValue(3, surfaceTerrainId, 0, surfaceTerrains.length - 1)],
+        extendUpperWinds: getCsvOptionChecked(upperWindsId),
+        gustMethod: gustMethods[getCsvOptionValue(0, gustModeId, 0, gustMethods.length - 1)],
+        includeTemperature: getCsvOptionChecked(includeTemperatureId),
+        temperatureName: getCsvOptionName('temperature', temperatureNameId),
+        temperatureUnitIndex: getCsvOptionValue(0, temperatureUnitId, 0, 2),
+        includePressure: getCsvOptionChecked(includePressureId),
+        pressureName: getCsvOptionName('pressure', pressureNameId),
+        pressureUnitIndex: getCsvOptionValue(0, pressureUnitId, 0, 4),
+        includeHumidity: getCsvOptionChecked(includeHumidityId),
+        humidityName: getCsvOptionName('humidity', humidityNameId),
+        humidityUnitIndex: getCsvOptionValue(0, humidityUnitId, 0, 1),
+        includeDensity: getCsvOptionChecked(includeDensityId),
+        densityName: getCsvOptionName('density', densityNameId),
+        densityUnitIndex: getCsvOptionValue(0, densityUnitId, 0, 2),
+    };
+}
+
+/**
+ * Convert a speed from meters per second into one of the selectable CSV speed units.
+ * @param {number} speed - Speed in m/s.
+ * @param {number} unitIndex - Selected unit (0: m/s, 1: km/s, 2: ft/s, 3: mph, 4: kt).
+ * @returns {number} Speed in the selected unit.
+ */
+function convertSpeedFromMetersPerSecond(speed, unitIndex) {
+    switch (unitIndex) {
+        case 1: // km/s
+            return speed / 1000.0;
+        case 2: // ft/s
+            return speed * 3.281;
+        case 3: // mph
+            return speed * 2.237;
+        case 4: // kt
+            return speed * 1.944;
+    }
+
+    // Default m/s
+    return speed;
+}
+
+/**
+ * Convert an altitude from meters into one of the selectable CSV altitude units.
+ * @param {number} altitude - Altitude in meters.
+ * @param {number} unitIndex - Selected unit (0: m, 1: km, 2: ft, 3: yd, 4: mi, 5: nmi).
+ * @returns {number} Altitude in the selected unit.
+ */
+function convertAltitudeFromMeters(altitude, unitIndex) {
+    switch (unitIndex) {
+        case 1: // km
+            return altitude / 1000.0;
+        case 2: // ft
+            return altitude * 3.281;
+        case 3: // yd
+            return altitude * 1.094;
+        case 4: // mi
+            return altitude / 1609.0;
+        case 5: // nmi
+            return altitude / 1852.0;
+    }
+
+    // Default m
+    return altitude;
+}
+
+/**
+ * Format the optional atmosphere columns selected in the CSV options for one row.
+ * @param {?{temperature: number, pressure: number, relativeHumidity: ?number, density: number}} atmosphere - State at the row's altitude. Null when not known.
+ * @param {object} csvOptions - Formatting options returned by getCsvFormatOptions().
+ * @returns {Array<string>} One value per selected column. Values that are not known are left empty.
+ */
+function formatAtmosphereFields(atmosphere, csvOptions) {
+    let atmosphereFields = [];
+
+    if (csvOptions.includeTemperature) {
+        let temperature = '';
+        if (null != atmosphere) {
+            switch (csvOptions.temperatureUnitIndex) {
+                case 1: // K
+                    temperature = (atmosphere.temperature + 273.15).toFixed(1);
+                    break;
+                case 2: // F
+                    temperature = ((atmosphere.temperature * 1.8) + 32.0).toFixed(1);
+                    break;
+                default: // C
+                    temperature = atmosphere.temperature.toFixed(1);
+            }
+        }
+        atmosphereFields.push(temperature);
+    }
+
+    if (csvOptions.includePressure) {
+        let pressure = '';
+        if (null != atmosphere) {
+            switch (csvOptions.pressureUnitIndex) {
+                case 1: // Pa
+                    pressure = (atmosphere.pressure * 100.0).toFixed(0);
+                    break;
+                case 2: // kPa
+                    pressure = (atmosphere.pressure / 10.0).toFixed(3);
+                    break;
+                case 3: // inHg
+                    pressure = (atmosphere.pressure * 0.02953).toFixed(3);
+                    break;
+                case 4: // psi
+                    pressure = (atmosphere.pressure * 0.0145038).toFixed(4);
+                    break;
+                default: // hPa
+                    pressure = atmosphere.pressure.toFixed(2);
+            }
+        }
+        atmosphereFields.push(pressure);
+    }
+
+    if (csvOptions.includeHumidity) {
+        let relativeHumidity = '';
+        if (null != atmosphere && null != atmosphere.relativeHumidity) {
+            if (1 == csvOptions.humidityUnitIndex) {
+                // Fraction
+                relativeHumidity = (atmosphere.relativeHumidity / 100.0).toFixed(3);
+            } else {
+                // Percent
+                relativeHumidity = atmosphere.relativeHumidity.toFixed(1);
+            }
+        }
+        atmosphereFields.push(relativeHumidity);
+    }
+
+    if (csvOptions.includeDensity) {
+        let density = '';
+        if (null != atmosphere) {
+            switch (csvOptions.densityUnitIndex) {
+                case 1: // lb/ft^3
+                    density = (atmosphere.density * 0.062428).toFixed(6);
+                    break;
+                case 2: // slug/ft^3
+                    density = (atmosphere.density * 0.00194032).toFixed(7);
+                    break;
+                default: // kg/m^3
+                    density = atmosphere.density.toFixed(5);
+            }
+        }
+        atmosphereFields.push(density);
+    }
+
+    return atmosphereFields;
+}
+
+/**
+ * Interpolate a list of winds onto the evenly spaced altitude grid selected in the CSV options.
+ * The grid starts at ground level for AGL files, or the first step above the lowest wind for MSL files.
+ * @param {Array<WindAtAltitude>} windList - Ascending winds with altitudes in meters MSL.
+ * @param {number} groundElevation - Elevation (in meters) of the launch site.
+ * @param {object} csvOptions - Formatting options returned by getCsvFormatOptions().
+ * @returns {Array<WindAtAltitude>} Resampled winds. The original list when resampling is turned off.
+ */
+function resampleCsvWindList(windList, groundElevation, csvOptions) {
+    if (csvOptions.resampleStep <= 0 || windList.length < 1) {
+        return windList;
+    }
+
+    // The grid and ceiling are measured from the selected altitude reference.
+    const referenceAltitude = (1 == csvOptions.altitudeReferenceIndex) ? groundElevation : 0;
+    const firstStep = (1 == csvOptions.altitudeReferenceIndex) ? 0 : Math.ceil((windList[0].altitude - referenceAltitude) / csvOptions.resampleStep);
+
+    let ceiling = windList[windList.length - 1].altitude - referenceAltitude;
+    if (csvOptions.resampleCeiling > 0) {
+        ceiling = csvOptions.resampleCeiling;
+    }
+
+    let gridAltitudes = [];
+    for (let stepIndex = firstStep; (stepIndex * csvOptions.resampleStep) <= ceiling + 1e-6; ++stepIndex) {
+        gridAltitudes.push(referenceAltitude + (stepIndex * csvOptions.resampleStep));
+
+        // Guard against a tiny step producing an enormous file.
+        if (gridAltitudes.length >= 10000) {
+            break;
+        }
+    }
+
+    return resampleWindList(windList, gridAltitudes, csvOptions.interpolationMethod);
+}
+
+/**
+ * Apply the gust, surface layer, upper wind, altitude grid, and waiver cutoff options to a list of winds.
+ * @param {Array<WindAtAltitude>} windList - Ascending winds with altitudes in meters MSL.
+ * @param {number} groundElevation - Elevation (in meters) of the launch site.
+ * @param {object} csvOptions - Formatting options returned by getCsvFormatOptions().
+ * @param {object} [profileDetails] - Details of the profiles behind the wind list returned by getProfileDetails().
+ * @returns {Array<WindAtAltitude>} Winds exactly as they will be written to the CSV file.
+ */
+function prepareCsvWindList(windList, groundElevation, csvOptions, profileDetails = {}) {
+    const { upperWindReference = null, surfaceGust = null, launchWaiver = null } = profileDetails;
+
+    // Test against the gusts instead of the mean wind in the conservative modes.
+    if (csvOptions.gustMethod.length > 0 && null != surfaceGust) {
+        const standardDeviation = csvOptions.standardDeviation / convertSpeedFromMetersPerSecond(1.0, csvOptions.standardDeviationUnitIndex);
+        windList = applySurfaceGust(windList, groundElevation, surfaceGust, csvOptions.gustMethod, standardDeviation);
+    }
+
+    // Model the winds below the lowest forecast level, where the rocket leaves the rail.
+    if (csvOptions.surfaceLayerMethod.length > 0) {
+        windList = extrapolateSurfaceWinds(windList, groundElevation, csvOptions.surfaceLayerMethod, csvOptions.surfaceTerrain);
+    }
+
+    // Continue the profile above the top forecast level with climatological winds.
+    if (null != upperWindReference) {
+        windList = extendUpperWinds(windList, upperWindReference.latitude, upperWindReference.month);
+    }
+
+    // Replace the uneven forecast levels with evenly spaced altitudes when requested.
+    windList = resampleCsvWindList(windList, groundElevation, csvOptions);
+
+    // Nothing above the waiver ceiling (plus a margin for overshoot) matters for a legal flight.
+    if (csvOptions.waiverCutoff && null != launchWaiver) {
+        windList = truncateWindList(windList, launchWaiver.getCeilingAltitude(groundElevation) + csvOptions.waiverMargin, csvOptions.interpolationMethod);
+    }
+
+    // Standard deviations derived from the data are limited the same way as the user's fixed value.
+    windList = windList.map((wind) => {
+        if (null == wind.standardDeviation || wind.standardDeviation <= maxStandardDeviation) {
+            return wind;
+        }
+        return new WindAtAltitude(wind.altitude, wind.windSpeed, wind.windDirection, maxStandardDeviation, wind.isModelled);
+    });
+
+    return windList;
+}
+
+/**
+ * Format a list of winds into the rows of an OpenRocket multi-level wind CSV file.
+ * @param {Array<WindAtAltitude>} windList - Winds returned by prepareCsvWindList().
+ * @param {number} groundElevation - Elevation (in meters) of the launch site.
+ * @param {object} csvOptions - Formatting options returned by getCsvFormatOptions().
+ * @param {Array<Array<AtmosphereAtAltitude>>} [atmosphereLists] - Atmospheric states averaged into the optional atmosphere columns.
+ * @returns {Array<string>} Header row followed by one row per wind entry.
+ */
+function createORWindCSV(windList, groundElevation, csvOptions, atmosphereLists = []) {
+    const fieldSeparator = csvOptions.fieldSeparator;
+
+    // Optional atmosphere columns follow the columns OpenRocket reads.
+    let atmosphereHeader = '';
+    if (csvOptions.includeTemperature) {
+        atmosphereHeader += `${fieldSeparator}${csvOptions.temperatureName}`;
+    }
+    if (csvOptions.includePressure) {
+        atmosphereHeader += `${fieldSeparator}${csvOptions.pressureName}`;
+    }
+    if (csvOptions.includeHumidity) {
+        atmosphereHeader += `${fieldSeparator}${csvOptions.humidityName}`;
+    }
+    if (csvOptions.includeDensity) {
+        atmosphereHeader += `${fieldSeparator}${csvOptions.densityName}`;
+    }
+
+    // Rows estimated by the surface layer or upper wind models are flagged in a final column, added only when there are any.
+    const includeModelled = windList.some((wind) => wind.isModelled);
+    const modelledHeader = includeModelled ? `${fieldSeparator}${modelledColumnName}` : '';
+
+    // Generate a header row as the first entry in the string array.
+    let stringArray = [`${csvOptions.altitudeName}${fieldSeparator}${csvOptions.windSpeedName}${fieldSeparator}${csvOptions.windDirectionName}${fieldSeparator}${csvOptions.standardDeviationName}${atmosphereHeader}${modelledHeader}\n`];
+
     for (let altitudeIndex = 0; altitudeIndex < windList.length; ++altitudeIndex) {
         const currentWindAtAltitude = windList[altitudeIndex];
 
         // Start with wind values directly from the forecast.
         let windAltitude = currentWindAtAltitude.altitude;
+        let atmosphereAltitude = currentWindAtAltitude.altitude;
         let windSpeed = currentWindAtAltitude.windSpeed;
         let windDirection = currentWindAtAltitude.windDirection;
 
+        // Prefer a standard deviation derived from the data over the user's fixed value.
+        let standardDeviation = csvOptions.standardDeviation;
+        if (null != currentWindAtAltitude.standardDeviation) {
+            standardDeviation = convertSpeedFromMetersPerSecond(currentWindAtAltitude.standardDeviation, csvOptions.standardDeviationUnitIndex).toFixed(2);
+        }
+
         // Convert from MSL to AGL if the user switched altitude reference.
-        if (1 == altitudeReferenceIndex) {
+        if (1 == csvOptions.altitudeReferenceIndex) {
             windAltitude -= groundElevation;
 
             if (windAltitude < 0) {
@@ -941,34 +2079,22 @@ async function saveORWindCSV() {
                 }
 
                 // Interpolate a new wind speed and direction for 0 elevation.
-                const bandRatio = Math.abs(windAltitude / (nextAltitude - windAltitude));
-
-                // Start with wind speed.
-                windSpeed = (windSpeed + (bandRatio * (windList[altitudeIndex + 1].windSpeed - windSpeed))).toFixed(1);
-
-                // Wind direction needs to account for wrapping around zero degrees.
-                const directionA = windDirection;
-                const directionB = windList[altitudeIndex + 1].windDirection;
-                const targetDirection = directionA + (bandRatio * (directionB - directionA));
-                const averageDirection = directionA + targetDirection;
-                if (Math.abs(directionA - targetDirection) < 180.0) {
-                    windDirection = averageDirection / 2.0;
-                } else {
-                    // Maintain a northerly direction as the bearing oscillates around zero degrees
-                    windDirection = (averageDirection - 360.0) / 2.0;
-                    if (windDirection < 0.0) {
-                        windDirection += 360.0;
-                    }
+                const groundWind = interpolateWind(windList, groundElevation, csvOptions.interpolationMethod);
+                windSpeed = groundWind.windSpeed;
+                windDirection = groundWind.windDirection;
+                if (null != groundWind.standardDeviation) {
+                    standardDeviation = convertSpeedFromMetersPerSecond(groundWind.standardDeviation, csvOptions.standardDeviationUnitIndex).toFixed(2);
                 }
 
                 // Don't forget to reset the current altitude as ground level.
                 windAltitude = 0;
+                atmosphereAltitude = groundElevation;
             }
         }
 
         // Perform conversions if the user has selected different measurement units.
         // Default m
-        switch (altitudeUnitIndex) {
+        switch (csvOptions.altitudeUnitIndex) {
             case 1: // km
                 windAltitude = (windAltitude / 1000.0).toFixed(1);
                 break;
@@ -987,7 +2113,7 @@ async function saveORWindCSV() {
         }
 
         // Default m/s
-        switch (windSpeedUnitIndex) {
+        switch (csvOptions.windSpeedUnitIndex) {
             case 1: // km/s
                 windSpeed = (windSpeed / 1000.0).toFixed(1);
                 break;
@@ -1003,29 +2129,46 @@ async function saveORWindCSV() {
         }
 
         // Default degrees
-        if (1 == windDirectionUnitIndex) {
+        if (1 == csvOptions.windDirectionUnitIndex) {
             // Radians
             windDirection *= (Math.PI / 180.0);
-        } else if (2 == windDirectionUnitIndex) {
+        } else if (2 == csvOptions.windDirectionUnitIndex) {
             // Arcminutes
             windDirection *= 60.0;
         }
 
+        let atmosphereFields = '';
+        if (atmosphereHeader.length > 0) {
+            const atmosphere = averageAtmosphere(atmosphereLists, atmosphereAltitude);
+            atmosphereFields = formatAtmosphereFields(atmosphere, csvOptions).map((atmosphereField) => `${fieldSeparator}${atmosphereField}`).join('');
+        }
+
+        if (includeModelled) {
+            atmosphereFields += `${fieldSeparator}${currentWindAtAltitude.isModelled ? 1 : 0}`;
+        }
+
         if (enforceWindSpeedLimit && windSpeed > 20.0) {
-            stringArray.push(`${windAltitude}${fieldSeparator}20.0${fieldSeparator}${Math.round(windDirection)}${fieldSeparator}${standardDeviation}\n`);
+            stringArray.push(`${windAltitude}${fieldSeparator}20.0${fieldSeparator}${Math.round(windDirection)}${fieldSeparator}${standardDeviation}${atmosphereFields}\n`);
         } else {
-            stringArray.push(`${windAltitude}${fieldSeparator}${windSpeed}${fieldSeparator}${Math.round(windDirection)}${fieldSeparator}${standardDeviation}\n`);
+            stringArray.push(`${windAltitude}${fieldSeparator}${windSpeed}${fieldSeparator}${Math.round(windDirection)}${fieldSeparator}${standardDeviation}${atmosphereFields}\n`);
         }
     }
 
-    const windCsvBlob = new Blob(stringArray);
+    return stringArray;
+}
 
-    // Use the forecast's date and time to create a somewhat unique file name.
-    const openMeteoYear = parseInt(openMeteoWindJSON.hourly.time[0].slice(0, 4));
-    const openMeteoMonth = parseInt(openMeteoWindJSON.hourly.time[0].slice(5, 7));
-    const openMeteoDate = parseInt(openMeteoWindJSON.hourly.time[0].slice(8, 10));
-    const openMeteoHour = parseInt(openMeteoWindJSON.hourly.time[0].slice(11, 13));
-    const defaultName = `wind_${openMeteoYear}-${openMeteoMonth.toString().padStart(2, '0')}-${openMeteoDate.toString().padStart(2, '0')}T${openMeteoHour.toString().padStart(2, '0')}.csv`;
+/**
+ * Let the user choose where to save a file. Falls back to a browser download when
+ * the File System Access API is not available.
+ * @param {Blob} fileBlob - Contents of the file.
+ * @param {string} defaultName - Suggested name for the file.
+ * @param {string} fileDescription - Description of the file type shown in the save dialog.
+ * @param {string} mimeType - MIME type of the file.
+ * @param {string} fileExtension - Extension of the file including the leading period.
+ * @returns {boolean} True if the file was saved. False if the user cancelled or an error occurred.
+ */
+async function saveFileBlob(fileBlob, defaultName, fileDescription, mimeType, fileExtension) {
+    const statusDisplayElement = document.getElementById(statusDisplayId);
 
     // Feature detection. The API needs to be supported
     // and the app not run in an iframe.
@@ -1043,8 +2186,8 @@ async function saveORWindCSV() {
             const filePickerOptions = {
                 types: [
                     {
-                        description: 'Comma-separated values (CSV)',
-                        accept: { 'text/csv': ['.csv'] },
+                        description: fileDescription,
+                        accept: { [mimeType]: [fileExtension] },
                     },
                 ],
                 excludeAcceptAllOption: true,
@@ -1057,9 +2200,9 @@ async function saveORWindCSV() {
 
             // Create a FileSystemWritableFileStream we can write to
             const writableFile = await saveFileHandle.createWritable();
-            
+
             // Write our blob's contents to the file
-            await writableFile.write(windCsvBlob);
+            await writableFile.write(fileBlob);
 
             // Close the file and write the contents to disk
             await writableFile.close();
@@ -1072,12 +2215,12 @@ async function saveORWindCSV() {
                     statusDisplayElement.textContent = `Encountered an error: ${err.message}`;
                 }
             }
-            return;
+            return false;
         }
     } else {
         // Fallback if the File System Access API is not supported
         // Create the blob URL
-        const blobURL = URL.createObjectURL(windCsvBlob);
+        const blobURL = URL.createObjectURL(fileBlob);
 
         // Create the `<a download>` element and append it invisibly.
         const a = document.createElement('a');
@@ -1096,7 +2239,941 @@ async function saveORWindCSV() {
         }, 1000);
     }
 
-    if (null != statusDisplayElement) {
-        statusDisplayElement.textContent = 'Finished saving the multi-level wind file.';
+    return true;
+}
+
+/**
+ * Convert wind at altitude data into OpenRocket's expected CSV format.
+ */
+async function saveORWindCSV() {
+    // Nothing can be done until the wind data has been obtained.
+    await requestWindData();
+
+    // Ensure valid wind data is now available.
+    if (windProfiles.length < 1) {
+        return;
+    }
+
+    await createWindFilesFromForecast();
+}
+
+/**
+ * Identify the weather models contained in the wind profiles.
+ * @returns {Array<string>} Names of the models found. Empty when the profiles do not name their model.
+ */
+function getWindProfileModels() {
+    let modelNames = [];
+    for (const windProfile of windProfiles) {
+        if (windProfile.model.length > 0 && !modelNames.includes(windProfile.model)) {
+            modelNames.push(windProfile.model);
+        }
     }
+
+    return modelNames;
+}
+
+/**
+ * Convert the wind profiles held in windProfiles into the wind files.
+ */
+async function createWindFilesFromForecast() {
+    if (windProfiles.length < 1) {
+        const statusDisplayElement = document.getElementById(statusDisplayId);
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = 'The wind data has no forecast hours.';
+        }
+        return;
+    }
+
+    // Let the user review the models side by side before choosing which one to save.
+    const modelNames = getWindProfileModels();
+    if (modelNames.length > 1) {
+        showModelComparison(modelNames);
+        return;
+    }
+
+    await saveWindFiles('');
+}
+
+/**
+ * Load previously saved wind data and convert it into the wind files without using the network.
+ * Both Open-Meteo responses and mock wind profile documents are accepted.
+ * @param {File} forecastFile - JSON document selected by the user.
+ */
+async function openForecastFile(forecastFile) {
+    const statusDisplayElement = document.getElementById(statusDisplayId);
+    hideModelComparison();
+    hideWindWarnings();
+
+    let forecastJSON = null;
+    try {
+        forecastJSON = JSON.parse(await forecastFile.text());
+    } catch (error) {
+        console.error(error.message);
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = `Unable to read the forecast file: ${error.message}`;
+        }
+        return;
+    }
+
+    // Open-Meteo returns an array when several locations are requested. Only the first is used.
+    if (Array.isArray(forecastJSON)) {
+        forecastJSON = (forecastJSON.length > 0) ? forecastJSON[0] : null;
+    }
+
+    const windDataProvider = MockWindProvider.isProfileDocument(forecastJSON) ? new MockWindProvider(forecastJSON) : new OpenMeteoProvider({ geometricHeights: useGeometricHeights() });
+    try {
+        windProfiles = windDataProvider.createProfiles(forecastJSON);
+        windAltitudeNote = windDataProvider.altitudeNote;
+        windDataIsClimatology = windDataProvider.isClimatology;
+    } catch (error) {
+        console.error(error.message);
+        windProfiles = [];
+        windData = null;
+        windAltitudeNote = '';
+        windDataIsClimatology = false;
+
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = `The forecast file does not contain usable wind data. ${error.message}`;
+        }
+        return;
+    }
+
+    windData = forecastJSON;
+    updateForecastAgeDisplay(null);
+
+    const saveForecastButton = document.getElementById(btnSaveForecastFileId);
+    if (null != saveForecastButton) {
+        saveForecastButton.disabled = false;
+    }
+
+    await createWindFilesFromForecast();
+}
+
+/**
+ * Find the wind profile valid closest to the launch start time entered by the user.
+ * @param {Array<WindProfile>} profiles - Profiles with UTC valid times.
+ * @returns {WindProfile} Closest profile. The first profile when the launch time is not valid.
+ */
+function getClosestUTCWindProfile(profiles) {
+    const launchStartTime = Date.parse(`${document.getElementById(launchDateId).value}T${document.getElementById(launchTimeId).value}`);
+    if (isNaN(launchStartTime)) {
+        return profiles[0];
+    }
+
+    let closestProfile = profiles[0];
+    let closestDelta = Infinity;
+    for (const windProfile of profiles) {
+        const timeDelta = Math.abs(Date.parse(`${windProfile.validTime}Z`) - launchStartTime);
+        if (timeDelta < closestDelta) {
+            closestProfile = windProfile;
+            closestDelta = timeDelta;
+        }
+    }
+
+    return closestProfile;
+}
+
+/**
+ * Load an observed radiosonde sounding and convert it into the wind files. Files holding several
+ * soundings use the one released closest to the launch start time.
+ * @param {File} soundingFile - University of Wyoming or IGRA2 text file selected by the user.
+ */
+async function openSoundingFile(soundingFile) {
+    const statusDisplayElement = document.getElementById(statusDisplayId);
+    hideModelComparison();
+    hideWindWarnings();
+
+    let soundingProfiles = [];
+    try {
+        soundingProfiles = new SoundingProvider().createProfiles(await soundingFile.text());
+    } catch (error) {
+        console.error(error.message);
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = `Unable to read the sounding file: ${error.message}`;
+        }
+        return;
+    }
+
+    const soundingProfile = getClosestUTCWindProfile(soundingProfiles);
+
+    await createWindFilesFromObservations([soundingProfile]);
+}
+
+/**
+ * Load a GPS flight log and convert the winds estimated from the rocket's descent into the wind files.
+ * @param {File} flightLogFile - CSV or NMEA log selected by the user.
+ */
+async function openFlightLogFile(flightLogFile) {
+    const statusDisplayElement = document.getElementById(statusDisplayId);
+    hideModelComparison();
+    hideWindWarnings();
+
+    // Logs without a date are assumed to be from the launch entered by the user.
+    const flightTrackProvider = new FlightTrackProvider({
+        binHeight: flightTrackBinHeight,
+        fallbackTime: `${document.getElementById(launchDateId).value}T${document.getElementById(launchTimeId).value}`,
+    });
+
+    let trackProfiles = [];
+    try {
+        trackProfiles = flightTrackProvider.createProfiles(await flightLogFile.text());
+    } catch (error) {
+        console.error(error.message);
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = `Unable to read the flight log: ${error.message}`;
+        }
+        return;
+    }
+
+    await createWindFilesFromObservations(trackProfiles);
+}
+
+/**
+ * Convert wind profiles read from observation files into the wind files.
+ * @param {Array<WindProfile>} observedProfiles - Profiles read from the file.
+ */
+async function createWindFilesFromObservations(observedProfiles) {
+    windProfiles = observedProfiles;
+
+    // The observation file itself is the raw data, so there is no forecast file to save.
+    windData = null;
+    windAltitudeNote = '';
+    windDataIsClimatology = false;
+    const saveForecastButton = document.getElementById(btnSaveForecastFileId);
+    if (null != saveForecastButton) {
+        saveForecastButton.disabled = true;
+    }
+    updateForecastAgeDisplay(null);
+
+    await createWindFilesFromForecast();
+}
+
+/**
+ * Save the wind data held in windData exactly as it was received so it can be replayed later.
+ */
+async function saveForecastFile() {
+    if (null == windData) {
+        return;
+    }
+
+    let defaultName = 'wind_forecast.json';
+    if (windProfiles.length > 0) {
+        defaultName = `${getWindFileBaseName(windProfiles[0].validTime)}.json`;
+    }
+
+    const forecastBlob = new Blob([JSON.stringify(windData)], { type: 'application/json' });
+    if (await saveFileBlob(forecastBlob, defaultName, 'JSON document', 'application/json', '.json')) {
+        const statusDisplayElement = document.getElementById(statusDisplayId);
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = 'Finished saving the forecast file.';
+        }
+    }
+}
+
+/**
+ * Display the first hour of each model's wind profile next to each other. Every model
+ * gets a button to save its wind files.
+ * @param {Array<string>} comparisonModels - Names of the models contained in the wind profiles.
+ */
+function showModelComparison(comparisonModels) {
+    const modelComparisonElement = document.getElementById(modelComparisonId);
+    if (null == modelComparisonElement) {
+        return;
+    }
+    modelComparisonElement.replaceChildren();
+
+    const firstTime = windProfiles[0].validTime;
+    const groundElevation = windProfiles[0].groundElevation;
+    const csvOptions = getCsvFormatOptions();
+
+    let modelWindLists = [];
+    for (const modelName of comparisonModels) {
+        const modelProfiles = windProfiles.filter((windProfile) => windProfile.model == modelName && windProfile.validTime == firstTime);
+        modelWindLists.push(combineWindProfiles(modelProfiles));
+    }
+
+    // Use the most detailed profile's altitudes for every row.
+    let gridList = modelWindLists[0];
+    for (const windList of modelWindLists) {
+        if (windList.length > gridList.length) {
+            gridList = windList;
+        }
+    }
+
+    const comparisonTable = document.createElement('table');
+    comparisonTable.className = 'comparison-table';
+
+    const tableCaption = comparisonTable.createCaption();
+    tableCaption.textContent = `Model comparison for ${firstTime.replace('T', ' ')}`;
+
+    // Header row naming each model with a button to save its profile.
+    const headerRow = comparisonTable.createTHead().insertRow();
+    const altitudeHeader = document.createElement('th');
+    altitudeHeader.textContent = `Altitude (${altitudeUnitNames[csvOptions.altitudeUnitIndex]} ${(1 == csvOptions.altitudeReferenceIndex) ? 'AGL' : 'MSL'})`;
+    headerRow.append(altitudeHeader);
+
+    const forecastModelSelect = document.getElementById(forecastModelId);
+    for (let modelIndex = 0; modelIndex < comparisonModels.length; ++modelIndex) {
+        const modelHeader = document.createElement('th');
+        const optionIndex = openMeteoForecastModels.indexOf(comparisonModels[modelIndex]);
+        modelHeader.textContent = (null != forecastModelSelect && optionIndex >= 0) ? forecastModelSelect.options[optionIndex].text : comparisonModels[modelIndex];
+
+        if (modelWindLists[modelIndex].length > 0) {
+            const saveModelButton = document.createElement('button');
+            saveModelButton.type = 'button';
+            saveModelButton.textContent = 'Save';
+            saveModelButton.addEventListener('click', async () => {
+                await saveWindFiles(comparisonModels[modelIndex]);
+            });
+            modelHeader.append(document.createElement('br'), saveModelButton);
+        }
+        headerRow.append(modelHeader);
+    }
+
+    const spreadHeader = document.createElement('th');
+    spreadHeader.textContent = 'Spread';
+    headerRow.append(spreadHeader);
+
+    // One row per altitude with every model's wind interpolated to that altitude.
+    const speedUnitName = speedUnitNames[csvOptions.windSpeedUnitIndex];
+    const tableBody = comparisonTable.createTBody();
+    for (const gridWind of gridList) {
+        let displayAltitude = gridWind.altitude;
+        if (1 == csvOptions.altitudeReferenceIndex) {
+            displayAltitude -= groundElevation;
+            if (displayAltitude < 0) {
+                continue;
+            }
+        }
+
+        const altitudeRow = tableBody.insertRow();
+        altitudeRow.insertCell().textContent = convertAltitudeFromMeters(displayAltitude, csvOptions.altitudeUnitIndex).toFixed(1);
+
+        let modelSpeeds = [];
+        let modelDirections = [];
+        for (const windList of modelWindLists) {
+            const modelWind = interpolateWind(windList, gridWind.altitude, csvOptions.interpolationMethod);
+            if (null == modelWind) {
+                altitudeRow.insertCell().textContent = '-';
+                continue;
+            }
+
+            const modelSpeed = convertSpeedFromMetersPerSecond(modelWind.windSpeed, csvOptions.windSpeedUnitIndex);
+            altitudeRow.insertCell().textContent = `${modelSpeed.toFixed(1)} ${speedUnitName} @ ${Math.round(modelWind.windDirection)}\u00B0`;
+
+            modelSpeeds.push(modelSpeed);
+            modelDirections.push(modelWind.windDirection);
+        }
+
+        // Largest disagreement in speed and direction between any two models.
+        let directionSpread = 0;
+        for (const firstDirection of modelDirections) {
+            for (const secondDirection of modelDirections) {
+                let directionDelta = Math.abs(firstDirection - secondDirection);
+                if (directionDelta > 180.0) {
+                    directionDelta = 360.0 - directionDelta;
+                }
+                directionSpread = Math.max(directionSpread, directionDelta);
+            }
+        }
+
+        const speedSpread = (modelSpeeds.length > 0) ? (Math.max(...modelSpeeds) - Math.min(...modelSpeeds)) : 0;
+        altitudeRow.insertCell().textContent = `${speedSpread.toFixed(1)} ${speedUnitName} / ${Math.round(directionSpread)}\u00B0`;
+    }
+
+    modelComparisonElement.append(comparisonTable);
+    modelComparisonElement.hidden = false;
+
+    const statusDisplayElement = document.getElementById(statusDisplayId);
+    if (null != statusDisplayElement) {
+        statusDisplayElement.textContent = 'Compare the models and save the one to simulate with.';
+    }
+}
+
+/**
+ * Gather what is needed to model the winds above the top of a profile.
+ * @param {string} validTime - Local time (ISO 8601 format) the profile is valid for.
+ * @param {object} csvOptions - Formatting options returned by getCsvFormatOptions().
+ * @returns {?{latitude: number, month: number}} Latitude and month of the launch. Null when turned off or the latitude is unknown.
+ */
+function getUpperWindReference(validTime, csvOptions) {
+    if (!csvOptions.extendUpperWinds) {
+        return null;
+    }
+
+    // Fall back to the location reported with the wind data when no launch site was entered.
+    let latitude = null;
+    const launchLocation = getLaunchSiteLocation();
+    if (null != launchLocation) {
+        latitude = launchLocation.latitude;
+    } else if (null != windData && typeof windData.latitude == 'number') {
+        latitude = windData.latitude;
+    }
+
+    if (null == latitude) {
+        return null;
+    }
+
+    return { latitude: latitude, month: parseInt(validTime.slice(5, 7)) };
+}
+
+/**
+ * Gather the details of a group of profiles needed to create their CSV file.
+ * @param {Array<WindProfile>} profiles - Profiles combined into a single CSV file.
+ * @param {string} validTime - Local time (ISO 8601 format) of the first profile.
+ * @param {object} csvOptions - Formatting options returned by getCsvFormatOptions().
+ * @returns {{upperWindReference: ?object, atmosphereLists: Array<Array<AtmosphereAtAltitude>>, surfaceGust: ?number, launchWaiver: ?LaunchWaiver}}
+ *          Upper wind model reference, atmospheric states, the strongest surface gust (in m/s) of the profiles, and the site's waiver.
+ */
+function getProfileDetails(profiles, validTime, csvOptions) {
+    const surfaceGusts = profiles.map((windProfile) => windProfile.surfaceGust).filter((surfaceGust) => null != surfaceGust);
+
+    return {
+        upperWindReference: getUpperWindReference(validTime, csvOptions),
+        atmosphereLists: profiles.map((windProfile) => windProfile.atmosphere),
+        surfaceGust: (surfaceGusts.length > 0) ? Math.max(...surfaceGusts) : null,
+        launchWaiver: getLaunchWaiver(),
+    };
+}
+
+/**
+ * Describe where the rows estimated by the surface layer and upper wind models begin, so they are not mistaken for forecast winds.
+ * @param {Array<object>} csvFiles - Prepared wind files with their wind list and ground elevation.
+ * @param {object} csvOptions - Formatting options returned by getCsvFormatOptions().
+ * @returns {Array<string>} One sentence per distinct modelled range. Empty when no rows are modelled.
+ */
+function describeModelledWinds(csvFiles, csvOptions) {
+    const altitudeUnitName = altitudeUnitNames[csvOptions.altitudeUnitIndex];
+    const altitudeReferenceName = (1 == csvOptions.altitudeReferenceIndex) ? 'AGL' : 'MSL';
+    const formatAltitude = (altitude, groundElevation) => {
+        const displayAltitude = (1 == csvOptions.altitudeReferenceIndex) ? altitude - groundElevation : altitude;
+        return `${convertAltitudeFromMeters(displayAltitude, csvOptions.altitudeUnitIndex).toFixed(1)} ${altitudeUnitName} ${altitudeReferenceName}`;
+    };
+
+    // Files from the same launch window usually share their modelled ranges, so each sentence is only listed once.
+    let modelledNotes = new Set();
+    for (const csvFile of csvFiles) {
+        const reportedWinds = csvFile.windList.filter((wind) => !wind.isModelled);
+        if (reportedWinds.length < 1) {
+            continue;
+        }
+
+        const lowestReportedAltitude = reportedWinds[0].altitude;
+        if (csvFile.windList.some((wind) => wind.isModelled && wind.altitude < lowestReportedAltitude)) {
+            modelledNotes.add(`Rows below ${formatAltitude(lowestReportedAltitude, csvFile.groundElevation)} are modelled from the surface layer, not forecast.`);
+        }
+
+        const highestReportedAltitude = reportedWinds[reportedWinds.length - 1].altitude;
+        const firstUpperWind = csvFile.windList.find((wind) => wind.isModelled && wind.altitude > highestReportedAltitude);
+        if (null != firstUpperWind) {
+            modelledNotes.add(`Rows from ${formatAltitude(firstUpperWind.altitude, csvFile.groundElevation)} up are modelled from climatology, not forecast.`);
+        }
+    }
+
+    return [...modelledNotes];
+}
+
+/**
+ * List the problems found in the wind files and wait for the user to decide whether to save them anyway.
+ * @param {Array<object>} windWarnings - Warnings from validateWindList() with the file name and ground elevation they belong to.
+ * @param {object} csvOptions - Formatting options returned by getCsvFormatOptions().
+ * @param {Array<string>} [modelledNotes] - Sentences from describeModelledWinds() shown below the list.
+ * @returns {Promise<boolean>} True if the user chose to save the files. False if they cancelled.
+ */
+function confirmWindWarnings(windWarnings, csvOptions, modelledNotes = []) {
+    const windWarningsElement = document.getElementById(windWarningsId);
+    if (null == windWarningsElement) {
+        return Promise.resolve(true);
+    }
+    hideWindWarnings();
+
+    const warningsHeading = document.createElement('div');
+    warningsHeading.className = 'warnings-heading';
+    warningsHeading.textContent = `Found ${windWarnings.length} possible problem${(1 == windWarnings.length) ? '' : 's'} with the wind data.`;
+
+    // Describe where each problem is using the altitude unit and reference selected for the file.
+    const showFileNames = windWarnings.some((windWarning) => windWarning.fileName != windWarnings[0].fileName);
+    const altitudeUnitName = altitudeUnitNames[csvOptions.altitudeUnitIndex];
+    const altitudeReferenceName = (1 == csvOptions.altitudeReferenceIndex) ? 'AGL' : 'MSL';
+    const warningsList = document.createElement('ul');
+    for (const windWarning of windWarnings) {
+        // Levels the source reported without a height cannot be placed.
+        let warningText = windWarning.message;
+        if (null != windWarning.altitude) {
+            let displayAltitude = windWarning.altitude;
+            if (1 == csvOptions.altitudeReferenceIndex) {
+                displayAltitude -= windWarning.groundElevation;
+            }
+
+            warningText = `${convertAltitudeFromMeters(displayAltitude, csvOptions.altitudeUnitIndex).toFixed(1)} ${altitudeUnitName} ${altitudeReferenceName}: ${warningText}`;
+        }
+        if (showFileNames) {
+            warningText = `${windWarning.fileName}${(null != windWarning.altitude) ? ' at ' : ': '}${warningText}`;
+        }
+
+        const warningItem = document.createElement('li');
+        warningItem.textContent = warningText;
+        warningsList.append(warningItem);
+    }
+
+    const saveButton = document.createElement('button');
+    saveButton.type = 'button';
+    saveButton.textContent = 'Save Anyway';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.type = 'button';
+    cancelButton.textContent = 'Cancel';
+
+    const warningsButtons = document.createElement('div');
+    warningsButtons.className = 'button-container';
+    warningsButtons.append(saveButton, cancelButton);
+
+    windWarningsElement.append(warningsHeading, warningsList);
+
+    // Modelled rows are not a problem by themselves, but they explain some of the warnings above.
+    if (modelledNotes.length > 0) {
+        const modelledNote = document.createElement('p');
+        modelledNote.className = 'warnings-note';
+        modelledNote.textContent = modelledNotes.join(' ');
+        windWarningsElement.append(modelledNote);
+    }
+
+    windWarningsElement.append(warningsButtons);
+    windWarningsElement.hidden = false;
+
+    const statusDisplayElement = document.getElementById(statusDisplayId);
+    if (null != statusDisplayElement) {
+        statusDisplayElement.textContent = 'Review the warnings before saving.';
+    }
+
+    return new Promise((resolve) => {
+        resolveWindWarnings = resolve;
+
+        const answerWindWarnings = (saveFiles) => {
+            // Clear the pending answer first so hiding the warnings does not cancel them.
+            resolveWindWarnings = null;
+            hideWindWarnings();
+            resolve(saveFiles);
+        };
+        saveButton.addEventListener('click', () => answerWindWarnings(true));
+        cancelButton.addEventListener('click', () => answerWindWarnings(false));
+    });
+}
+
+/**
+ * Generate the wind files from the wind profiles and let the user save them.
+ * Launch windows spanning multiple hours produce one CSV file per hour bundled into a ZIP archive,
+ * or a single averaged profile when the user selected that mode.
+ * @param {string} modelName - Name of the model to save from a multi-model forecast. Empty otherwise.
+ */
+async function saveWindFiles(modelName) {
+    const statusDisplayElement = document.getElementById(statusDisplayId);
+    const modelProfiles = ('' == modelName) ? windProfiles : windProfiles.filter((windProfile) => windProfile.model == modelName);
+    const modelSuffix = ('' == modelName) ? '' : `_${modelName}`;
+    if (modelProfiles.length < 1) {
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = 'No wind data was available for the launch window.';
+        }
+        return;
+    }
+
+    const timeProfiles = groupWindProfilesByTime(modelProfiles);
+    const forecastTimes = [...timeProfiles.keys()];
+    const groundElevation = modelProfiles[0].groundElevation;
+
+    const csvOptions = getCsvFormatOptions();
+    const launchWindowModeIndex = getCsvOptionValue(0, launchWindowModeId, 0, 1);
+    const memberCount = Math.max(...[...timeProfiles.values()].map((profiles) => profiles.length));
+
+    // Climatology holds the launch window from several past years, which are always averaged together.
+    const firstYear = forecastTimes[0].slice(0, 4);
+    const finalYear = forecastTimes[forecastTimes.length - 1].slice(0, 4);
+    const useClimatology = windDataIsClimatology;
+
+    // Prepare every file first so all of them can be checked before anything is written.
+    let csvFiles = [];
+    let archiveName = '';
+    if (useClimatology || (1 == launchWindowModeIndex && forecastTimes.length > 1)) {
+        // Average every hour (and every ensemble member or year) of the launch window into one profile.
+        const windList = averageWindLists(modelProfiles.map((windProfile) => windProfile.winds));
+        if (windList.length < 1) {
+            if (null != statusDisplayElement) {
+                statusDisplayElement.textContent = 'No wind data was available for the launch window.';
+            }
+            return;
+        }
+
+        const finalHour = forecastTimes[forecastTimes.length - 1].slice(11, 13);
+        let defaultName = `${getWindFileBaseName(forecastTimes[0])}-T${finalHour}${modelSuffix}_mean.csv`;
+        if (useClimatology) {
+            defaultName = `wind_climatology_${forecastTimes[0].slice(5, 13)}-T${finalHour}_${firstYear}-${finalYear}.csv`;
+        }
+
+        const profileDetails = getProfileDetails(modelProfiles, forecastTimes[0], csvOptions);
+        csvFiles.push({
+            fileName: defaultName,
+            validTime: forecastTimes[0],
+            groundElevation: groundElevation,
+            windList: prepareCsvWindList(windList, groundElevation, csvOptions, profileDetails),
+            atmosphereLists: profileDetails.atmosphereLists,
+            profiles: modelProfiles,
+        });
+    } else {
+        // One CSV file per hour of the launch window. Several hours are bundled into a single archive.
+        for (const [forecastTime, profiles] of timeProfiles) {
+            const windList = combineWindProfiles(profiles);
+            if (windList.length < 1) {
+                continue;
+            }
+
+            const profileDetails = getProfileDetails(profiles, forecastTime, csvOptions);
+            csvFiles.push({
+                fileName: `${getWindFileBaseName(forecastTime, modelSuffix)}.csv`,
+                validTime: forecastTime,
+                groundElevation: profiles[0].groundElevation,
+                windList: prepareCsvWindList(windList, profiles[0].groundElevation, csvOptions, profileDetails),
+                atmosphereLists: profileDetails.atmosphereLists,
+                profiles: profiles,
+            });
+        }
+
+        if (csvFiles.length < 1) {
+            if (null != statusDisplayElement) {
+                statusDisplayElement.textContent = 'No wind data was available for the launch window.';
+            }
+            return;
+        }
+
+        // Name the archive after the first and last hours of the launch window.
+        if (forecastTimes.length > 1) {
+            const finalHour = forecastTimes[forecastTimes.length - 1].slice(11, 13);
+            archiveName = `${getWindFileBaseName(forecastTimes[0])}-T${finalHour}${modelSuffix}.zip`;
+        }
+    }
+
+    // Give the user a chance to review any problems before the files are written.
+    let windWarnings = [];
+    for (const csvFile of csvFiles) {
+        const fileWarnings = [...validateProfileLevels(csvFile.profiles), ...validateWindList(csvFile.windList, csvFile.groundElevation)];
+        for (const windWarning of fileWarnings) {
+            windWarnings.push({ ...windWarning, fileName: csvFile.fileName, groundElevation: csvFile.groundElevation });
+        }
+    }
+
+    const modelledNotes = describeModelledWinds(csvFiles, csvOptions);
+    if (windWarnings.length > 0 && !(await confirmWindWarnings(windWarnings, csvOptions, modelledNotes))) {
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = 'Saving was cancelled.';
+        }
+        return;
+    }
+
+    // Predict the landing from exactly the winds being saved.
+    driftWindFiles = csvFiles;
+    updateDriftPrediction();
+
+    let fileSaved = false;
+    if (null != rocketDocument) {
+        // The wind goes into the selected simulations of the opened design instead of CSV files.
+        fileSaved = await saveRocketFile(csvFiles, csvOptions);
+    } else if (archiveName.length < 1) {
+        // A single profile is saved directly as a CSV file.
+        const csvFile = csvFiles[0];
+        const windCsvBlob = new Blob(createORWindCSV(csvFile.windList, csvFile.groundElevation, csvOptions, csvFile.atmosphereLists));
+        fileSaved = await saveFileBlob(windCsvBlob, csvFile.fileName, 'Comma-separated values (CSV)', 'text/csv', '.csv');
+    } else {
+        const windArchive = new ZipArchive();
+        for (const csvFile of csvFiles) {
+            windArchive.addFile(csvFile.fileName, createORWindCSV(csvFile.windList, csvFile.groundElevation, csvOptions, csvFile.atmosphereLists).join(''));
+        }
+
+        fileSaved = await saveFileBlob(windArchive.createBlob(), archiveName, 'ZIP archive', 'application/zip', '.zip');
+    }
+
+    if (fileSaved && null != statusDisplayElement) {
+        let statusMessage = 'Finished saving the multi-level wind file.';
+        if (useClimatology) {
+            statusMessage = `Finished saving the climatological wind file from ${firstYear} to ${finalYear}.`;
+        } else if (memberCount > 1) {
+            statusMessage = `Finished saving the multi-level wind file from ${memberCount} ensemble members.`;
+        }
+
+        if (null != rocketDocument) {
+            statusMessage = `Finished saving ${rocketFileName} with the multi-level wind in its simulations.`;
+        }
+
+        // Let the user know which height definition the altitudes use.
+        if (windAltitudeNote.length > 0) {
+            statusMessage += ` ${windAltitudeNote}`;
+        }
+
+        // Make sure nobody mistakes the modelled winds for part of the forecast.
+        if (modelledNotes.length > 0) {
+            statusMessage += ` ${modelledNotes.join(' ')}`;
+        }
+        if (csvOptions.extendUpperWinds && null == getUpperWindReference(forecastTimes[0], csvOptions)) {
+            statusMessage += ' Upper winds were not extended without the launch site latitude.';
+        }
+
+        // Show the gust the conservative profile was built around.
+        if (csvOptions.gustMethod.length > 0) {
+            const surfaceGust = getProfileDetails(modelProfiles, forecastTimes[0], csvOptions).surfaceGust;
+            if (null != surfaceGust) {
+                const gustSpeed = convertSpeedFromMetersPerSecond(surfaceGust, csvOptions.windSpeedUnitIndex).toFixed(1);
+                statusMessage += ` Used a surface gust of ${gustSpeed} ${speedUnitNames[csvOptions.windSpeedUnitIndex]}.`;
+            } else {
+                statusMessage += ' No gust data was available, so the mean wind was used.';
+            }
+        }
+
+        // Strong winds near the ceiling carry a rocket reaching it the furthest.
+        const launchWaiver = getLaunchWaiver();
+        if (null != launchWaiver) {
+            let strongestWind = null;
+            for (const csvFile of csvFiles) {
+                const ceilingWind = findStrongCeilingWind(csvFile.windList, launchWaiver.getCeilingAltitude(csvFile.groundElevation));
+                if (null != ceilingWind && (null == strongestWind || ceilingWind.windSpeed > strongestWind.windSpeed)) {
+                    strongestWind = ceilingWind;
+                }
+            }
+
+            if (null != strongestWind) {
+                const windSpeed = convertSpeedFromMetersPerSecond(strongestWind.windSpeed, csvOptions.windSpeedUnitIndex).toFixed(1);
+                statusMessage += ` Warning: winds of ${windSpeed} ${speedUnitNames[csvOptions.windSpeedUnitIndex]} are forecast just below the waiver ceiling.`;
+            }
+        }
+
+        statusDisplayElement.textContent = statusMessage;
+    }
+}
+
+/**
+ * Remove the opened rocket design so the wind is saved as CSV files again.
+ */
+function closeRocketFile() {
+    rocketDocument = null;
+    rocketFileName = '';
+
+    const rocketSimulationsElement = document.getElementById(rocketSimulationsId);
+    if (null != rocketSimulationsElement) {
+        rocketSimulationsElement.replaceChildren();
+        rocketSimulationsElement.hidden = true;
+    }
+
+    const statusDisplayElement = document.getElementById(statusDisplayId);
+    if (null != statusDisplayElement) {
+        statusDisplayElement.textContent = 'Wind files will be saved as CSV again.';
+    }
+}
+
+/**
+ * Load an OpenRocket design and list its simulations so the user can pick which ones receive the wind.
+ * @param {File} rocketFile - .ork file selected by the user.
+ */
+async function openRocketFile(rocketFile) {
+    const statusDisplayElement = document.getElementById(statusDisplayId);
+    const rocketSimulationsElement = document.getElementById(rocketSimulationsId);
+    if (null == rocketSimulationsElement) {
+        return;
+    }
+
+    let openedDocument = null;
+    try {
+        openedDocument = await OpenRocketDocument.fromBlob(rocketFile);
+    } catch (error) {
+        console.error(error.message);
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = `Unable to read the rocket file: ${error.message}`;
+        }
+        return;
+    }
+
+    const simulationNames = openedDocument.simulationNames;
+    if (simulationNames.length < 1) {
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = 'The rocket file does not contain any simulations.';
+        }
+        return;
+    }
+
+    rocketDocument = openedDocument;
+    rocketFileName = rocketFile.name;
+    rocketSimulationsElement.replaceChildren();
+
+    const simulationsHeading = document.createElement('div');
+    simulationsHeading.className = 'simulations-heading';
+    simulationsHeading.textContent = `Simulations in ${rocketFileName} to receive the wind:`;
+
+    const simulationsList = document.createElement('ul');
+    for (let simulationIndex = 0; simulationIndex < simulationNames.length; ++simulationIndex) {
+        const simulationCheckbox = document.createElement('input');
+        simulationCheckbox.type = 'checkbox';
+        simulationCheckbox.value = simulationIndex;
+        simulationCheckbox.checked = true;
+
+        const simulationLabel = document.createElement('label');
+        simulationLabel.append(simulationCheckbox, ` ${simulationNames[simulationIndex]}`);
+
+        const simulationItem = document.createElement('li');
+        simulationItem.append(simulationLabel);
+        simulationsList.append(simulationItem);
+    }
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.textContent = 'Close Rocket File';
+    closeButton.addEventListener('click', () => closeRocketFile());
+
+    const simulationsButtons = document.createElement('div');
+    simulationsButtons.className = 'button-container';
+    simulationsButtons.append(closeButton);
+
+    rocketSimulationsElement.append(simulationsHeading, simulationsList, simulationsButtons);
+    rocketSimulationsElement.hidden = false;
+
+    if (null != statusDisplayElement) {
+        statusDisplayElement.textContent = 'Choose the simulations, then create the wind as usual to save the rocket file.';
+    }
+}
+
+/**
+ * Write the prepared winds into the simulations selected from the opened rocket design and let the user save it.
+ * Each hour of a launch window is given its own copy of every selected simulation.
+ * @param {Array<object>} csvFiles - Prepared wind files with their valid time, ground elevation, and winds.
+ * @param {object} csvOptions - Formatting options returned by getCsvFormatOptions().
+ * @returns {boolean} True if the rocket file was saved. False if nothing was selected, the user cancelled, or an error occurred.
+ */
+async function saveRocketFile(csvFiles, csvOptions) {
+    const statusDisplayElement = document.getElementById(statusDisplayId);
+    const rocketSimulationsElement = document.getElementById(rocketSimulationsId);
+
+    let simulationIndices = [];
+    if (null != rocketSimulationsElement) {
+        for (const simulationCheckbox of rocketSimulationsElement.querySelectorAll('input[type="checkbox"]')) {
+            if (simulationCheckbox.checked) {
+                simulationIndices.push(parseInt(simulationCheckbox.value));
+            }
+        }
+    }
+
+    if (simulationIndices.length < 1) {
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = 'Select at least one simulation to receive the wind.';
+        }
+        return false;
+    }
+
+    const launchLocation = getWindLocation();
+
+    // The fixed standard deviation is entered in the selected unit but OpenRocket stores m/s.
+    const standardDeviation = csvOptions.standardDeviation / convertSpeedFromMetersPerSecond(1.0, csvOptions.standardDeviationUnitIndex);
+
+    const launchConditionsList = csvFiles.map((csvFile) => ({
+        validTime: csvFile.validTime,
+        groundElevation: csvFile.groundElevation,
+        windList: csvFile.windList,
+        standardDeviation: standardDeviation,
+        location: launchLocation,
+    }));
+
+    // Work on a fresh copy so saving twice does not duplicate the simulations copied for each hour.
+    let updatedDocument = null;
+    try {
+        updatedDocument = await OpenRocketDocument.fromBlob(rocketDocument.createBlob());
+        updatedDocument.setLaunchConditions(simulationIndices, launchConditionsList);
+    } catch (error) {
+        console.error(error.message);
+        if (null != statusDisplayElement) {
+            statusDisplayElement.textContent = `Unable to update the rocket file: ${error.message}`;
+        }
+        return false;
+    }
+
+    const baseName = rocketFileName.replace(/\.ork$/i, '');
+    const defaultName = `${baseName}_${getWindFileBaseName(csvFiles[0].validTime)}.ork`;
+    return await saveFileBlob(updatedDocument.createBlob(), defaultName, 'OpenRocket design', 'application/octet-stream', '.ork');
+}
+
+/**
+ * Read the descent entered by the user, converted into meters.
+ * @returns {?DescentProfile} Apogee, descent rates, and main deployment altitude. Null when the inputs are incomplete or invalid.
+ */
+function getDescentProfile() {
+    const metersPerDriftUnit = 1.0 / convertAltitudeFromMeters(1.0, driftUnitIndices[getCsvOptionValue(0, driftUnitId, 0, driftUnitIndices.length - 1)]);
+    const getDriftValue = (elementId) => {
+        const driftInput = document.getElementById(elementId);
+        return (null != driftInput) ? parseFloat(driftInput.value) * metersPerDriftUnit : NaN;
+    };
+
+    const descentProfile = {
+        apogee: getDriftValue(driftApogeeId),
+        drogueRate: getDriftValue(driftDrogueRateId),
+        mainRate: getDriftValue(driftMainRateId),
+        mainAltitude: getDriftValue(driftMainAltitudeId),
+    };
+
+    // Without a main deployment altitude the drogue (or free fall) rate applies all the way down.
+    if (isNaN(descentProfile.mainAltitude) || descentProfile.mainAltitude < 0) {
+        descentProfile.mainAltitude = 0;
+    }
+    if (isNaN(descentProfile.mainRate) && !isNaN(descentProfile.drogueRate)) {
+        descentProfile.mainRate = descentProfile.drogueRate;
+    }
+
+    if (isNaN(descentProfile.apogee) || descentProfile.apogee <= 0 || !(descentProfile.drogueRate > 0) || !(descentProfile.mainRate > 0)) {
+        return null;
+    }
+
+    return descentProfile;
+}
+
+/**
+ * Show the predicted landing point of every prepared wind file, checking each against the waiver radius.
+ * Hides the prediction when there are no wind files or the descent inputs are incomplete.
+ */
+function updateDriftPrediction() {
+    const driftResultElement = document.getElementById(driftResultId);
+    if (null == driftResultElement) {
+        return;
+    }
+    driftResultElement.replaceChildren();
+    driftResultElement.hidden = true;
+
+    const descentProfile = getDescentProfile();
+    const launchLocation = getWindLocation();
+    if (driftWindFiles.length < 1 || null == descentProfile || null == launchLocation) {
+        return;
+    }
+
+    const driftUnitIndex = driftUnitIndices[getCsvOptionValue(0, driftUnitId, 0, driftUnitIndices.length - 1)];
+    const csvOptions = getCsvFormatOptions();
+    const launchWaiver = getLaunchWaiver();
+
+    for (const driftWindFile of driftWindFiles) {
+        const driftPrediction = predictDrift(driftWindFile.windList, driftWindFile.groundElevation, launchLocation, descentProfile, csvOptions.interpolationMethod);
+        if (null == driftPrediction) {
+            continue;
+        }
+
+        const landing = driftPrediction.landing;
+        const distance = convertAltitudeFromMeters(driftPrediction.distance, driftUnitIndex).toFixed(0);
+        let driftText = `${driftWindFile.validTime.slice(0, 16).replace('T', ' ')}: lands ${distance} ${altitudeUnitNames[driftUnitIndex]} from the pad at ${Math.round(driftPrediction.bearing)}\u00B0 (${landing.latitude.toFixed(5)}, ${landing.longitude.toFixed(5)}) after ${Math.round(driftPrediction.descentTime)} s.`;
+
+        // The waiver circle is centered on the pad unless the waiver gives its own center.
+        const driftItem = document.createElement('div');
+        if (null != launchWaiver && null != launchWaiver.radius) {
+            const waiverRadius = convertAltitudeFromMeters(launchWaiver.radius, waiverRadiusUnitIndex).toFixed(2);
+            if (landing.isWithinRadius(launchWaiver.center ?? launchLocation, launchWaiver.radius)) {
+                driftText += ` Inside the ${waiverRadius} ${altitudeUnitNames[waiverRadiusUnitIndex]} waiver radius.`;
+            } else {
+                driftText += ` Outside the ${waiverRadius} ${altitudeUnitNames[waiverRadiusUnitIndex]} waiver radius!`;
+                driftItem.className = 'outside-waiver';
+            }
+        }
+
+        driftItem.textContent = driftText;
+        driftResultElement.append(driftItem);
+    }
+
+    driftResultElement.hidden = (driftResultElement.children.length < 1);
 }
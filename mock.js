@@ -0,0 +1,156 @@
+import { WindAtAltitude, WindProfile } from "./wind.js";
+import { WindDataProvider } from "./provider.js";
+import { fetchJSON } from "./request.js";
+
+// Small profile served when no document is given, so the page can be tried offline. It has no
+// time because it is repeated for every hour of whatever launch window is requested.
+const mockWindFixture = Object.freeze({
+    elevation: 200,
+    profiles: [
+        {
+            gust: 8.2,
+            winds: [
+                { altitude: 210, speed: 4.1, direction: 185, stddev: 0.6 },
+                { altitude: 280, speed: 5.3, direction: 192, stddev: 0.6 },
+                { altitude: 500, speed: 7.0, direction: 205, stddev: 0.8 },
+                { altitude: 1000, speed: 8.6, direction: 221, stddev: 0.9 },
+                { altitude: 1500, speed: 9.4, direction: 236, stddev: 1.0 },
+                { altitude: 3000, speed: 12.8, direction: 252, stddev: 1.2 },
+                { altitude: 5500, speed: 19.5, direction: 263, stddev: 1.5 },
+                { altitude: 9000, speed: 31.2, direction: 270, stddev: 2.0 },
+                { altitude: 12000, speed: 38.7, direction: 272, stddev: 2.2 },
+            ],
+        },
+    ],
+});
+
+/*
+ * Serves canned wind profiles from a local JSON document so the conversion pipeline can be
+ * exercised without a weather service. The document is either provided directly (Ex: a file
+ * opened by the user), downloaded from a URL such as a local development server, or the bundled
+ * fixture when neither is given.
+ *
+ * Document format. Altitudes are meters MSL, speeds m/s, and directions degrees from North.
+ * {
+ *     "elevation": 1400,
+ *     "profiles": [
+ *         {
+ *             "time": "2026-10-19T10:00",
+ *             "elevation": 1400,   (optional, defaults to the document's elevation)
+ *             "model": "",         (optional)
+ *             "member": "",        (optional)
+ *             "gust": 8.2,         (optional, gust speed at 10 m AGL)
+ *             "winds": [ { "altitude": 1410, "speed": 3.5, "direction": 270, "stddev": 0.4 }, ... ]
+ *         }
+ *     ]
+ * }
+ */
+class MockWindProvider extends WindDataProvider {
+    /**
+     * Wind profile document, the URL it is downloaded from, or null for the bundled fixture.
+     * @private
+     * @type {?(object|string)}
+     */
+    #source = null;
+
+    /**
+     * Initializes a provider serving a single wind profile document.
+     * @param {?(object|string)} [source] - Wind profile document, or the URL of one. Defaults to the bundled fixture.
+     */
+    constructor(source = null) {
+        super();
+        this.#source = source;
+    }
+
+    /**
+     * Check if a parsed JSON document uses the mock wind profile format.
+     * @param {object} document - Parsed JSON document.
+     * @returns {boolean} True if the document contains a list of profiles.
+     */
+    static isProfileDocument(document) {
+        return null != document && typeof document == 'object' && Array.isArray(document.profiles);
+    }
+
+    /**
+     * Get the name of the data source shown to the user.
+     * @type {string}
+     */
+    get name() {
+        return 'Mock data';
+    }
+
+    /**
+     * Describe the source used for a launch.
+     * @param {LaunchTimeData} launchTimes - Date and hours of the launch window.
+     * @returns {string} Identifies the canned document.
+     */
+    getSourceName(launchTimes) {
+        if (null == this.#source) {
+            return 'mock:fixture';
+        }
+
+        return (typeof this.#source == 'string') ? `mock:${this.#source}` : 'mock';
+    }
+
+    /**
+     * Provide the wind profile document. The launch details are ignored since the data is canned.
+     * @param {WindDataRequest} request - Launch details and request settings.
+     * @returns {Promise<object>} Wind profile document.
+     * @throws {RequestError} The document could not be downloaded.
+     * @throws {DOMException} AbortError when the request was cancelled.
+     */
+    async fetchData(request) {
+        if (null == this.#source) {
+            // Repeat the fixture for each hour so it always covers the requested launch window.
+            const launchTimes = request.launchTimes;
+            const launchDay = launchTimes.getStartTimeAsISOString().slice(0, 11);
+            let profiles = [];
+            for (let hour = launchTimes.launchDate.getHours(); hour <= launchTimes.endHour; hour++) {
+                profiles.push({ ...mockWindFixture.profiles[0], time: `${launchDay}${hour.toString().padStart(2, '0')}:00` });
+            }
+
+            return { elevation: mockWindFixture.elevation, profiles: profiles };
+        }
+
+        if (typeof this.#source != 'string') {
+            return this.#source;
+        }
+
+        return await fetchJSON(this.#source, { signal: request.signal, timeoutSeconds: request.timeoutSeconds, maxRetries: 0 });
+    }
+
+    /**
+     * Convert a wind profile document into wind profiles.
+     * @param {object} document - Wind profile document.
+     * @returns {Array<WindProfile>} One profile per entry in the document.
+     * @throws {TypeError} The document is not in the expected format.
+     */
+    createProfiles(document) {
+        if (!MockWindProvider.isProfileDocument(document)) {
+            throw new TypeError('Wind profile document has no [profiles] list.');
+        }
+
+        const documentElevation = (null == document.elevation) ? 0 : parseFloat(document.elevation);
+
+        let windProfiles = [];
+        for (const profile of document.profiles) {
+            if (!Array.isArray(profile.winds)) {
+                throw new TypeError(`Wind profile ${profile.time} has no [winds] list.`);
+            }
+
+            let windList = [];
+            for (const wind of profile.winds) {
+                windList.push(new WindAtAltitude(parseFloat(wind.altitude), parseFloat(wind.speed), parseFloat(wind.direction),
+                                                 (null == wind.stddev) ? null : parseFloat(wind.stddev)));
+            }
+
+            const groundElevation = (null == profile.elevation) ? documentElevation : parseFloat(profile.elevation);
+            const surfaceGust = (null == profile.gust) ? null : parseFloat(profile.gust);
+            windProfiles.push(new WindProfile(profile.time, groundElevation, windList, profile.model ?? '', profile.member ?? '', [], surfaceGust));
+        }
+
+        return windProfiles;
+    }
+}
+
+export { MockWindProvider };
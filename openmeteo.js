@@ -0,0 +1,722 @@
+import { WindAtAltitude, WindProfile } from "./wind.js";
+import { AtmosphereAtAltitude } from "./atmosphere.js";
+import { WindDataProvider } from "./provider.js";
+import { fetchJSON } from "./request.js";
+import { interpolateWind } from "./interpolation.js";
+
+// Heights (in meters AGL) of the wind variables Open-Meteo provides near the ground.
+const openMeteoWindAltitudes = [10, 80, 120];
+
+// Heights (in meters AGL) of the only wind variables the ERA5 archive provides. It has no pressure levels.
+const openMeteoArchiveWindAltitudes = [10, 100];
+
+// Every height (in meters AGL) a forecast or archive response may hold winds for.
+const openMeteoParsedWindAltitudes = [...new Set([...openMeteoWindAltitudes, ...openMeteoArchiveWindAltitudes])].sort((altitudeA, altitudeB) => altitudeA - altitudeB);
+
+// Atmospheric pressure levels (in hPa) requested from Open-Meteo.
+const openMeteoPressureLevels = [1000, 975, 950, 925, 900, 850, 800, 750, 700, 650, 600, 550, 500, 450, 400, 350, 300, 250, 200, 150, 100, 70, 50, 30, 20, 15, 10];
+
+// Open-Meteo's historical forecasts begin here. Earlier dates use the ERA5 reanalysis.
+const historicalForecastStartDate = new Date(2022, 0, 1);
+
+// Number of past years a climatology response was built from. Added to the response since Open-Meteo has no such field.
+const climatologyYearsKey = 'climatology_years';
+
+/**
+ * Generate the name of every hourly variable used to build a wind profile.
+ * @returns {Array<string>} Open-Meteo variable names.
+ */
+function getOpenMeteoHourlyVariables() {
+    let variableNames = [];
+
+    // Wind speeds and directions at set heights above ground level.
+    for (const altitude of openMeteoWindAltitudes) {
+        variableNames.push(`wind_speed_${altitude}m`);
+    }
+    for (const altitude of openMeteoWindAltitudes) {
+        variableNames.push(`wind_direction_${altitude}m`);
+    }
+    variableNames.push('wind_gusts_10m');
+
+    // Wind speeds, directions, geopotential heights, temperatures, and humidities at all atmospheric pressure levels.
+    for (const pressure of openMeteoPressureLevels) {
+        variableNames.push(`wind_speed_${pressure}hPa`);
+    }
+    for (const pressure of openMeteoPressureLevels) {
+        variableNames.push(`wind_direction_${pressure}hPa`);
+    }
+    for (const pressure of openMeteoPressureLevels) {
+        variableNames.push(`geopotential_height_${pressure}hPa`);
+    }
+    for (const pressure of openMeteoPressureLevels) {
+        variableNames.push(`temperature_${pressure}hPa`);
+    }
+    for (const pressure of openMeteoPressureLevels) {
+        variableNames.push(`relative_humidity_${pressure}hPa`);
+    }
+
+    return variableNames;
+}
+
+/**
+ * Generate the name of every hourly variable the ERA5 archive provides for a wind profile.
+ * @returns {Array<string>} Open-Meteo variable names.
+ */
+function getOpenMeteoArchiveHourlyVariables() {
+    let variableNames = [];
+
+    for (const altitude of openMeteoArchiveWindAltitudes) {
+        variableNames.push(`wind_speed_${altitude}m`);
+    }
+    for (const altitude of openMeteoArchiveWindAltitudes) {
+        variableNames.push(`wind_direction_${altitude}m`);
+    }
+    variableNames.push('wind_gusts_10m');
+
+    return variableNames;
+}
+
+/**
+ * Generate a request for one day of Open-Meteo's ERA5 reanalysis archive.
+ * @param {GeoLocation} launchLocation - Coordinates of the launch site.
+ * @param {number} year - Year of the requested day.
+ * @param {number} month - Month (1 - 12) of the requested day.
+ * @param {number} day - Day of the month of the requested day.
+ * @returns {string} Request URL.
+ */
+function getOpenMeteoArchiveRequest(launchLocation, year, month, day) {
+    // Use the last day of February when the year being requested is not a leap year.
+    const lastDayOfMonth = new Date(year, month, 0).getDate();
+    const dateString = `${year}-${month.toString().padStart(2, '0')}-${Math.min(day, lastDayOfMonth).toString().padStart(2, '0')}`;
+
+    let fetchRequest = `https://archive-api.open-meteo.com/v1/archive?latitude=${launchLocation.latitude}&longitude=${launchLocation.longitude}`;
+    fetchRequest += `&models=era5&start_date=${dateString}&end_date=${dateString}`;
+    fetchRequest += '&timezone=auto&wind_speed_unit=ms';
+    fetchRequest += `&hourly=${getOpenMeteoArchiveHourlyVariables().join(',')}`;
+
+    return fetchRequest;
+}
+
+/**
+ * Generate a request for one day of Open-Meteo's historical forecasts, which include the pressure levels.
+ * @param {GeoLocation} launchLocation - Coordinates of the launch site.
+ * @param {number} year - Year of the requested day.
+ * @param {number} month - Month (1 - 12) of the requested day.
+ * @param {number} day - Day of the month of the requested day.
+ * @returns {string} Request URL.
+ */
+function getOpenMeteoHistoricalForecastRequest(launchLocation, year, month, day) {
+    // Use the last day of February when the year being requested is not a leap year.
+    const lastDayOfMonth = new Date(year, month, 0).getDate();
+    const dateString = `${year}-${month.toString().padStart(2, '0')}-${Math.min(day, lastDayOfMonth).toString().padStart(2, '0')}`;
+
+    let fetchRequest = `https://historical-forecast-api.open-meteo.com/v1/forecast?latitude=${launchLocation.latitude}&longitude=${launchLocation.longitude}`;
+    fetchRequest += `&start_date=${dateString}&end_date=${dateString}`;
+    fetchRequest += '&timezone=auto&wind_speed_unit=ms';
+    fetchRequest += `&hourly=${getOpenMeteoHourlyVariables().join(',')}`;
+
+    return fetchRequest;
+}
+
+/**
+ * Count the years before a launch whose same calendar day is covered by Open-Meteo's historical forecasts.
+ * @param {Date} launchDate - Date of the launch.
+ * @returns {number} Number of past years with pressure levels available.
+ */
+function countHistoricalForecastYears(launchDate) {
+    return Math.max(launchDate.getFullYear() - historicalForecastStartDate.getFullYear(), 0);
+}
+
+/**
+ * Remove every hour outside of the launch window from an Open-Meteo response covering whole days.
+ * @param {object} openMeteoJSON - Parsed Open-Meteo response.
+ * @param {number} startHour - First hour (0 - 23) of the launch window.
+ * @param {number} endHour - Last hour (0 - 23) of the launch window.
+ */
+function trimOpenMeteoHours(openMeteoJSON, startHour, endHour) {
+    if (null == openMeteoJSON || !('hourly' in openMeteoJSON) || !('time' in openMeteoJSON.hourly)) {
+        return;
+    }
+
+    const keepHour = openMeteoJSON.hourly.time.map((forecastTime) => {
+        const forecastHour = parseInt(forecastTime.slice(11, 13));
+        return forecastHour >= startHour && forecastHour <= endHour;
+    });
+
+    for (const variableName of Object.keys(openMeteoJSON.hourly)) {
+        openMeteoJSON.hourly[variableName] = openMeteoJSON.hourly[variableName].filter((value, hourIndex) => keepHour[hourIndex]);
+    }
+}
+
+/**
+ * Combine several Open-Meteo responses for the same location into one by appending their hourly data.
+ * @param {Array<object>} openMeteoJSONs - Parsed Open-Meteo responses.
+ * @returns {object} Combined response. Only variables present in every response are kept.
+ */
+function mergeOpenMeteoResponses(openMeteoJSONs) {
+    let mergedJSON = { ...openMeteoJSONs[0], hourly: {} };
+    for (const variableName of Object.keys(openMeteoJSONs[0].hourly)) {
+        if (openMeteoJSONs.every((openMeteoJSON) => variableName in openMeteoJSON.hourly)) {
+            mergedJSON.hourly[variableName] = openMeteoJSONs.flatMap((openMeteoJSON) => openMeteoJSON.hourly[variableName]);
+        }
+    }
+
+    return mergedJSON;
+}
+
+/**
+ * Identify the models and ensemble members contained in an Open-Meteo response. Responses holding
+ * several models append each model's name to every variable, while ensembles append each member's number.
+ * @param {object} openMeteoJSON - Parsed Open-Meteo response.
+ * @returns {{models: Array<string>, members: Array<string>}} Model names (empty for a single model response)
+ *          and member suffixes (the control run has an empty suffix).
+ */
+function getOpenMeteoVariableSuffixes(openMeteoJSON) {
+    let modelNames = new Set();
+    let memberSuffixes = new Set(['']);
+
+    const hourlyVariables = getOpenMeteoHourlyVariables();
+    for (const variableName of Object.keys(openMeteoJSON.hourly)) {
+        const memberMatch = variableName.match(/_member\d+$/);
+        if (null != memberMatch) {
+            memberSuffixes.add(memberMatch[0]);
+            continue;
+        }
+
+        for (const hourlyVariable of hourlyVariables) {
+            if (variableName.startsWith(`${hourlyVariable}_`)) {
+                modelNames.add(variableName.slice(hourlyVariable.length + 1));
+                break;
+            }
+        }
+    }
+
+    return { models: [...modelNames], members: [...memberSuffixes].sort() };
+}
+
+/**
+ * Convert a geopotential height into a geometric height above mean sea level. Both gravity and the
+ * Earth's effective radius vary with latitude, so the difference grows with altitude and is largest
+ * near the equator (roughly 200 m at 30 km).
+ * @param {number} geopotentialHeight - Geopotential height in meters.
+ * @param {number} latitude - Latitude in degrees.
+ * @returns {number} Geometric height in meters.
+ */
+function convertGeopotentialToGeometricHeight(geopotentialHeight, latitude) {
+    const sinLatitudeSquared = Math.pow(Math.sin(latitude * (Math.PI / 180.0)), 2);
+
+    // Normal gravity at the surface (Somigliana) and the effective radius of the Earth at this latitude.
+    const surfaceGravity = 9.780325 * (1.0 + 0.00193185 * sinLatitudeSquared) / Math.sqrt(1.0 - 0.00669435 * sinLatitudeSquared);
+    const effectiveRadius = 6378137.0 / (1.006803 - 0.006706 * sinLatitudeSquared);
+
+    return (effectiveRadius * geopotentialHeight) / (((surfaceGravity / 9.80665) * effectiveRadius) - geopotentialHeight);
+}
+
+/**
+ * Extract an ascending list of winds for a single hour of an Open-Meteo response.
+ * @param {object} openMeteoJSON - Parsed Open-Meteo response.
+ * @param {number} hourIndex - Index of the desired hour within the forecast's hourly data.
+ * @param {number} groundElevation - Elevation (in meters) of the launch site.
+ * @param {string} [variableSuffix] - Variable name suffix selecting one ensemble member or weather model.
+ * @param {?number} [heightLatitude] - Latitude used to convert geopotential heights into geometric heights. Null keeps geopotential heights.
+ * @returns {{windList: Array<WindAtAltitude>, skippedLevels: Array<SkippedLevel>}} Winds starting at ground level with altitudes
+ *          in meters MSL, and the levels left out because they were null or lie above the lowest pressure level.
+ */
+function createOpenMeteoWindList(openMeteoJSON, hourIndex, groundElevation, variableSuffix = '', heightLatitude = null) {
+    // Create arrays to hold converted data.
+    let altitudeWinds = [];
+    let pressureWinds = [];
+    let skippedLevels = [];
+
+    // Request wind directions at set heights above ground level.
+    for (const altitude of openMeteoParsedWindAltitudes) {
+        const speedName = `wind_speed_${altitude}m${variableSuffix}`;
+        const directionName = `wind_direction_${altitude}m${variableSuffix}`;
+
+        if (speedName in openMeteoJSON.hourly && directionName in openMeteoJSON.hourly) {
+            if (openMeteoJSON.hourly[speedName].length <= hourIndex) {
+                console.log(`Altitude wind speed list ${openMeteoJSON.hourly[speedName].length} is too small for hour index ${hourIndex}.`);
+                continue;
+            }
+            if (openMeteoJSON.hourly[directionName].length <= hourIndex) {
+                console.log(`Altitude wind direction list ${openMeteoJSON.hourly[directionName].length} is too small for hour index ${hourIndex}.`);
+                continue;
+            }
+
+            const windSpeed = openMeteoJSON.hourly[speedName][hourIndex];
+            const windDirection = openMeteoJSON.hourly[directionName][hourIndex];
+
+            if (null == windSpeed || null == windDirection) {
+                skippedLevels.push({ name: `${altitude} m`, altitude: altitude + groundElevation, reason: 'missing' });
+                continue;
+            }
+
+            altitudeWinds.push(new WindAtAltitude(altitude + groundElevation, windSpeed, windDirection));
+        }
+    }
+
+    for (const pressure of openMeteoPressureLevels) {
+        const speedName = `wind_speed_${pressure}hPa${variableSuffix}`;
+        const directionName = `wind_direction_${pressure}hPa${variableSuffix}`;
+        const heightName = `geopotential_height_${pressure}hPa${variableSuffix}`;
+
+        if (speedName in openMeteoJSON.hourly && directionName in openMeteoJSON.hourly && heightName in openMeteoJSON.hourly) {
+            if (openMeteoJSON.hourly[speedName].length <= hourIndex) {
+                console.log(`Altitude wind speed list ${openMeteoJSON.hourly[speedName].length} is too small for hour index ${hourIndex}.`);
+                continue;
+            }
+            if (openMeteoJSON.hourly[directionName].length <= hourIndex) {
+                console.log(`Altitude wind direction list ${openMeteoJSON.hourly[directionName].length} is too small for hour index ${hourIndex}.`);
+                continue;
+            }
+            if (openMeteoJSON.hourly[heightName].length <= hourIndex) {
+                console.log(`Altitude height list ${openMeteoJSON.hourly[heightName].length} is too small for hour index ${hourIndex}.`);
+                continue;
+            }
+
+            const windSpeed = openMeteoJSON.hourly[speedName][hourIndex];
+            const windDirection = openMeteoJSON.hourly[directionName][hourIndex];
+            let windHeight = openMeteoJSON.hourly[heightName][hourIndex];
+
+            if (null != windHeight && null != heightLatitude) {
+                windHeight = convertGeopotentialToGeometricHeight(windHeight, heightLatitude);
+            }
+
+            if (null == windSpeed || null == windDirection || null == windHeight) {
+                skippedLevels.push({ name: `${pressure} hPa`, altitude: windHeight, reason: 'missing' });
+                continue;
+            }
+
+            pressureWinds.push(new WindAtAltitude(windHeight, windSpeed, windDirection));
+        }
+    }
+
+    let groundWindSpeed = 0;
+    let groundWindDirection = 0;
+    let windList = [];
+
+    // Combine altitude and pressure based winds into a single, ascending list.
+    // Preference is placed on altitude based winds as they seem most consistent.
+    if (pressureWinds.length > 0) {
+        if (pressureWinds[0].altitude > 0) {
+            // Use any altitude based data which is closer to ground.
+            for (const altWind of altitudeWinds) {
+                if (altWind.altitude < pressureWinds[0].altitude) {
+                    if (0 == windList.length) {
+                        // Set ground wind values based on the lowest entry.
+                        groundWindSpeed = altWind.windSpeed;
+                        groundWindDirection = altWind.windDirection;
+                        windList.push(new WindAtAltitude(0, groundWindSpeed, groundWindDirection));
+                    }
+                    windList.push(altWind);
+                } else {
+                    // Levels above the lowest pressure level would cross it.
+                    skippedLevels.push({ name: `${altWind.altitude - groundElevation} m`, altitude: altWind.altitude, reason: 'crossed' });
+                }
+            }
+
+            // Now add all the atmospheric pressure based wind.
+            for (let windIndex = 0; windIndex < pressureWinds.length; ++windIndex) {
+                const presWind = pressureWinds[windIndex];
+
+                if (0 == windList.length) {
+                    // Set ground wind values if no altitude entry was used.
+                    groundWindSpeed = presWind.windSpeed;
+                    groundWindDirection = presWind.windDirection;
+                    windList.push(new WindAtAltitude(0, groundWindSpeed, groundWindDirection));
+                }
+
+                windList.push(presWind);
+            }
+        } else {
+            // Every altitude based wind lies above the lowest pressure level.
+            for (const altWind of altitudeWinds) {
+                skippedLevels.push({ name: `${altWind.altitude - groundElevation} m`, altitude: altWind.altitude, reason: 'crossed' });
+            }
+
+            // Find the first wind entry above ground level.
+            let windIndex = 1
+            for (; windIndex < pressureWinds.length; ++windIndex) {
+                if (pressureWinds[windIndex].altitude > 0) {
+                    // Interpolate the wind at zero altitude from the levels on either side of it.
+                    const groundWind = interpolateWind(pressureWinds.slice(windIndex - 1, windIndex + 1), 0);
+                    windList.push(groundWind);
+                    break;
+                }
+            }
+
+            // Add all the remaining wind entries above ground level.
+            for (; windIndex < pressureWinds.length; ++windIndex) {
+                windList.push(pressureWinds[windIndex]);
+            }
+        }
+    } else if (altitudeWinds.length > 0) {
+        // Surface-only data (Ex: the ERA5 archive) ends at its highest set height.
+        groundWindSpeed = altitudeWinds[0].windSpeed;
+        groundWindDirection = altitudeWinds[0].windDirection;
+        windList.push(new WindAtAltitude(0, groundWindSpeed, groundWindDirection));
+        windList.push(...altitudeWinds);
+    }
+
+    return { windList: windList, skippedLevels: skippedLevels };
+}
+
+/**
+ * Extract the temperature and humidity at every pressure level for a single hour of an Open-Meteo response.
+ * @param {object} openMeteoJSON - Parsed Open-Meteo response.
+ * @param {number} hourIndex - Index of the desired hour within the forecast's hourly data.
+ * @param {string} [variableSuffix] - Variable name suffix selecting one ensemble member or weather model.
+ * @param {?number} [heightLatitude] - Latitude used to convert geopotential heights into geometric heights. Null keeps geopotential heights.
+ * @returns {Array<AtmosphereAtAltitude>} States with altitudes in meters MSL. Empty when the response has no temperatures.
+ */
+function createOpenMeteoAtmosphereList(openMeteoJSON, hourIndex, variableSuffix = '', heightLatitude = null) {
+    let atmosphereList = [];
+
+    for (const pressure of openMeteoPressureLevels) {
+        const temperatureName = `temperature_${pressure}hPa${variableSuffix}`;
+        const humidityName = `relative_humidity_${pressure}hPa${variableSuffix}`;
+        const heightName = `geopotential_height_${pressure}hPa${variableSuffix}`;
+
+        if (!(temperatureName in openMeteoJSON.hourly) || !(heightName in openMeteoJSON.hourly)) {
+            continue;
+        }
+
+        const temperature = openMeteoJSON.hourly[temperatureName][hourIndex];
+        let height = openMeteoJSON.hourly[heightName][hourIndex];
+        if (null == temperature || null == height) {
+            continue;
+        }
+
+        // Not every model reports humidity at the highest levels.
+        let relativeHumidity = null;
+        if (humidityName in openMeteoJSON.hourly) {
+            relativeHumidity = openMeteoJSON.hourly[humidityName][hourIndex] ?? null;
+        }
+
+        if (null != heightLatitude) {
+            height = convertGeopotentialToGeometricHeight(height, heightLatitude);
+        }
+
+        atmosphereList.push(new AtmosphereAtAltitude(height, temperature, pressure, relativeHumidity));
+    }
+
+    return atmosphereList;
+}
+
+/* Obtains forecasts, ensembles, and reanalysis data from the Open-Meteo weather API. */
+class OpenMeteoProvider extends WindDataProvider {
+    /**
+     * Open-Meteo name of the ensemble model to request. Empty for deterministic forecasts.
+     * @private
+     * @type {string}
+     */
+    #ensembleModel = '';
+
+    /**
+     * Open-Meteo names of the deterministic models to request. Several models are compared side by side.
+     * @private
+     * @type {Array<string>}
+     */
+    #forecastModels = ['best_match'];
+
+    /**
+     * Number of past years averaged together. Zero when a forecast is requested instead.
+     * @private
+     * @type {number}
+     */
+    #climatologyYears = 0;
+
+    /**
+     * Number of additional attempts made when Open-Meteo is rate limiting or having server problems.
+     * @private
+     * @type {number}
+     */
+    #maxRetries = 3;
+
+    /**
+     * Convert the geopotential heights of pressure levels into geometric heights.
+     * @private
+     * @type {boolean}
+     */
+    #geometricHeights = true;
+
+    /**
+     * Whether the heights of the latest profiles were converted into geometric heights.
+     * @private
+     * @type {boolean}
+     */
+    #heightsConverted = false;
+
+    /**
+     * Whether the latest profiles came from surface-only data without any pressure levels.
+     * @private
+     * @type {boolean}
+     */
+    #surfaceOnly = false;
+
+    /**
+     * Whether the latest profiles came from a climatology response covering several past years.
+     * @private
+     * @type {boolean}
+     */
+    #climatologyProfiles = false;
+
+    /**
+     * Initializes a provider for one kind of Open-Meteo data.
+     * @param {object} [options] - Data selection.
+     * @param {string} [options.ensembleModel] - Ensemble model to request instead of a deterministic forecast.
+     * @param {Array<string>} [options.forecastModels] - Deterministic models to request. The first is the primary model.
+     * @param {number} [options.climatologyYears] - Past years of ERA5 reanalysis to request instead of a forecast.
+     * @param {number} [options.maxRetries] - Additional attempts made for each failed request.
+     * @param {boolean} [options.geometricHeights] - Convert pressure level heights from geopotential to geometric height.
+     */
+    constructor({ ensembleModel = '', forecastModels = ['best_match'], climatologyYears = 0, maxRetries = 3, geometricHeights = true } = {}) {
+        super();
+        this.#ensembleModel = ensembleModel;
+        this.#forecastModels = (forecastModels.length > 0) ? forecastModels : ['best_match'];
+        this.#climatologyYears = climatologyYears;
+        this.#maxRetries = maxRetries;
+        this.#geometricHeights = geometricHeights;
+    }
+
+    /**
+     * Get the name of the data source shown to the user.
+     * @type {string}
+     */
+    get name() {
+        return 'Open-Meteo';
+    }
+
+    /**
+     * Get the number of hours into the future the source is able to cover.
+     * Forecasts reach 16 days, but 15 days keeps the whole launch window inside them.
+     * @type {number}
+     */
+    get maxLeadHours() {
+        return (this.#climatologyYears > 0) ? Infinity : 360;
+    }
+
+    /**
+     * Get a note for the user about which height definition the pressure levels of the latest profiles use.
+     * @type {string}
+     */
+    get altitudeNote() {
+        if (this.#surfaceOnly) {
+            return `The ERA5 archive has no pressure levels, so these profiles only reach ${openMeteoArchiveWindAltitudes[openMeteoArchiveWindAltitudes.length - 1]} m above the ground.`;
+        } else if (this.#heightsConverted) {
+            return 'Pressure level altitudes were converted from geopotential to geometric height.';
+        }
+
+        return 'Pressure level altitudes are geopotential heights.';
+    }
+
+    /**
+     * Check if the latest profiles hold the launch window from several past years instead of a forecast.
+     * @type {boolean}
+     */
+    get isClimatology() {
+        return this.#climatologyProfiles;
+    }
+
+    /**
+     * Describe when the ERA5 archive, which has no pressure levels, has to stand in for the forecasts.
+     * @param {Date} launchDate - Date of the launch.
+     * @returns {string} Note for the user. Empty when the profiles include the pressure levels.
+     */
+    getCoverageNote(launchDate) {
+        const archiveTop = openMeteoArchiveWindAltitudes[openMeteoArchiveWindAltitudes.length - 1];
+        if (this.#climatologyYears > 0) {
+            const coveredYears = countHistoricalForecastYears(launchDate);
+            if (this.#climatologyYears <= coveredYears) {
+                return '';
+            } else if (coveredYears < 1) {
+                return `Historical forecasts do not cover the years before this date, so climatology uses the ERA5 archive and only reaches ${archiveTop} m above the ground.`;
+            }
+
+            return `Historical forecasts only cover ${coveredYears} year${(1 == coveredYears) ? '' : 's'} before this date. Averaging more years uses the ERA5 archive, which only reaches ${archiveTop} m above the ground.`;
+        } else if (0 == this.#ensembleModel.length && launchDate < historicalForecastStartDate) {
+            return `Dates before ${historicalForecastStartDate.getFullYear()} use the ERA5 archive, which only reaches ${archiveTop} m above the ground.`;
+        }
+
+        return '';
+    }
+
+    /**
+     * Describe the source and settings used for a launch.
+     * @param {LaunchTimeData} launchTimes - Date and hours of the launch window.
+     * @returns {string} Model name(s) of the data (Ex: ensemble_gfs_seamless).
+     */
+    getSourceName(launchTimes) {
+        if (this.#climatologyYears > 0) {
+            if (this.#climatologyYears <= countHistoricalForecastYears(launchTimes.launchDate)) {
+                return `forecast_climatology_${this.#climatologyYears}`;
+            }
+
+            return `era5_climatology_${this.#climatologyYears}`;
+        } else if (this.#ensembleModel.length > 0) {
+            return `ensemble_${this.#ensembleModel}`;
+        } else if (launchTimes.launchDate < historicalForecastStartDate) {
+            return 'era5';
+        }
+
+        return this.#forecastModels.join(',');
+    }
+
+    /**
+     * Download the Open-Meteo data for a launch.
+     * @param {WindDataRequest} request - Launch details and request settings.
+     * @returns {Promise<object>} Open-Meteo response. Several responses are merged into one.
+     * @throws {RequestError} A request failed, timed out, or returned an error status.
+     * @throws {DOMException} AbortError when the request was cancelled.
+     */
+    async fetchData(request) {
+        const launchLocation = request.location;
+        const launchTimes = request.launchTimes;
+
+        const launchYear = launchTimes.launchDate.getFullYear();
+        const launchMonth = launchTimes.launchDate.getMonth() + 1;
+        const launchDay = launchTimes.launchDate.getDate();
+
+        // Reanalysis data covers whole days, so it must be trimmed down to the launch window.
+        let trimToLaunchWindow = false;
+
+        let fetchRequests = [];
+        if (this.#climatologyYears > 0) {
+            // Request the same calendar day from each of the previous years. Historical forecasts include the pressure
+            // levels, but only the archive reaches further back. Mixing both would leave most years without pressure levels.
+            const useHistoricalForecasts = (this.#climatologyYears <= countHistoricalForecastYears(launchTimes.launchDate));
+            for (let yearOffset = this.#climatologyYears; yearOffset > 0; --yearOffset) {
+                if (useHistoricalForecasts) {
+                    fetchRequests.push(getOpenMeteoHistoricalForecastRequest(launchLocation, launchYear - yearOffset, launchMonth, launchDay));
+                } else {
+                    fetchRequests.push(getOpenMeteoArchiveRequest(launchLocation, launchYear - yearOffset, launchMonth, launchDay));
+                }
+            }
+            trimToLaunchWindow = true;
+        } else if (0 == this.#ensembleModel.length && launchTimes.launchDate < historicalForecastStartDate) {
+            // Forecasts were not archived this far back, so fall back to the reanalysis.
+            fetchRequests.push(getOpenMeteoArchiveRequest(launchLocation, launchYear, launchMonth, launchDay));
+            trimToLaunchWindow = true;
+        } else {
+            // Begin forming a request for Open-Meteo's API with the launch location.
+            let fetchRequest = 'https://';
+
+            if (this.#ensembleModel.length > 0) {
+                // Every member of the ensemble is returned alongside the control run.
+                fetchRequest += `ensemble-api.open-meteo.com/v1/ensemble?latitude=${launchLocation.latitude}&longitude=${launchLocation.longitude}`;
+                fetchRequest += `&models=${this.#ensembleModel}`;
+            } else {
+                // Check if the launch occured more than a week in the past (7 x 24 = 168 hours)
+                if (launchTimes.startHourOffset < -168) {
+                    fetchRequest += 'historical-forecast-';
+                }
+
+                fetchRequest += `api.open-meteo.com/v1/forecast?latitude=${launchLocation.latitude}&longitude=${launchLocation.longitude}`;
+
+                // Multiple models return every variable with the model's name appended.
+                if (this.#forecastModels.length > 1 || 'best_match' != this.#forecastModels[0]) {
+                    fetchRequest += `&models=${this.#forecastModels.join(',')}`;
+                }
+            }
+
+            // Specify the launch's active hours.
+            fetchRequest += `&start_hour=${launchTimes.getStartTimeAsISOString()}&end_hour=${launchTimes.getEndTimeAsISOString()}`;
+
+            // Use the launch site's timezone
+            fetchRequest += '&timezone=auto';
+
+            // Request wind speeds to be in meters per second.
+            fetchRequest += '&wind_speed_unit=ms';
+
+            fetchRequest += `&hourly=${getOpenMeteoHourlyVariables().join(',')}`;
+
+            fetchRequests.push(fetchRequest);
+        }
+
+        let openMeteoResponses = [];
+        for (const fetchRequest of fetchRequests) {
+            if (fetchRequests.length > 1 && null != request.onStatus) {
+                request.onStatus(`Downloading wind data ${openMeteoResponses.length + 1} of ${fetchRequests.length}...`);
+            }
+
+            const openMeteoResponse = await fetchJSON(fetchRequest, {
+                signal: request.signal,
+                timeoutSeconds: request.timeoutSeconds,
+                maxRetries: this.#maxRetries,
+                onRetry: (attempt, delayMs, failureDescription) => {
+                    console.warn(failureDescription);
+                    if (null != request.onStatus) {
+                        request.onStatus(`Retrying in ${Math.ceil(delayMs / 1000)} s (attempt ${attempt} of ${this.#maxRetries})...`);
+                    }
+                },
+            });
+
+            if (trimToLaunchWindow) {
+                trimOpenMeteoHours(openMeteoResponse, launchTimes.launchDate.getHours(), launchTimes.endHour);
+            }
+            openMeteoResponses.push(openMeteoResponse);
+        }
+
+        const openMeteoJSON = (openMeteoResponses.length > 1) ? mergeOpenMeteoResponses(openMeteoResponses) : openMeteoResponses[0];
+
+        // Record how the response was built so saved and cached copies are still read as climatology.
+        if (this.#climatologyYears > 0) {
+            openMeteoJSON[climatologyYearsKey] = this.#climatologyYears;
+        }
+
+        return openMeteoJSON;
+    }
+
+    /**
+     * Convert an Open-Meteo response into wind profiles.
+     * @param {object} openMeteoJSON - Parsed Open-Meteo response.
+     * @returns {Array<WindProfile>} One profile per hour, model, and ensemble member.
+     * @throws {TypeError} The response has no hourly data.
+     */
+    createProfiles(openMeteoJSON) {
+        if (null == openMeteoJSON || typeof openMeteoJSON != 'object' || !('hourly' in openMeteoJSON)) {
+            throw new TypeError('Open-Meteo JSON has no [hourly] data.');
+        }
+        if (!('time' in openMeteoJSON.hourly)) {
+            throw new TypeError('Open-Meteo JSON has no [time] data.');
+        }
+
+        let groundElevation = 0;
+        if ('elevation' in openMeteoJSON && null != openMeteoJSON.elevation) {
+            groundElevation = openMeteoJSON.elevation;
+        }
+
+        // Every Open-Meteo response reports the latitude of its grid cell, which the height conversion depends on.
+        let heightLatitude = null;
+        if (this.#geometricHeights && 'latitude' in openMeteoJSON && null != openMeteoJSON.latitude) {
+            heightLatitude = openMeteoJSON.latitude;
+        }
+        this.#heightsConverted = (null != heightLatitude);
+        this.#surfaceOnly = !Object.keys(openMeteoJSON.hourly).some((variableName) => variableName.startsWith('geopotential_height_'));
+        this.#climatologyProfiles = ((openMeteoJSON[climatologyYearsKey] ?? 0) > 0);
+
+        const variableSuffixes = getOpenMeteoVariableSuffixes(openMeteoJSON);
+        const modelNames = (variableSuffixes.models.length > 0) ? variableSuffixes.models : [''];
+
+        let windProfiles = [];
+        openMeteoJSON.hourly.time.forEach((forecastTime, hourIndex) => {
+            for (const modelName of modelNames) {
+                const modelSuffix = (modelName.length > 0) ? `_${modelName}` : '';
+                for (const memberSuffix of variableSuffixes.members) {
+                    const { windList, skippedLevels } = createOpenMeteoWindList(openMeteoJSON, hourIndex, groundElevation, `${modelSuffix}${memberSuffix}`, heightLatitude);
+                    const atmosphereList = createOpenMeteoAtmosphereList(openMeteoJSON, hourIndex, `${modelSuffix}${memberSuffix}`, heightLatitude);
+
+                    // Gusts are missing from forecasts downloaded before they were requested.
+                    const gustName = `wind_gusts_10m${modelSuffix}${memberSuffix}`;
+                    const surfaceGust = (gustName in openMeteoJSON.hourly) ? (openMeteoJSON.hourly[gustName][hourIndex] ?? null) : null;
+
+                    windProfiles.push(new WindProfile(forecastTime, groundElevation, windList, modelName, memberSuffix.slice(1), atmosphereList, surfaceGust, skippedLevels));
+                }
+            }
+        });
+
+        return windProfiles;
+    }
+}
+
+export { OpenMeteoProvider };
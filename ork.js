@@ -0,0 +1,299 @@
+import { ZipArchive } from "./zip.js";
+import { WindAtAltitude } from "./wind.js";
+import { GeoLocation } from "./geo.js";
+
+// Name OpenRocket gives the rocket design document inside its ZIP container.
+const rocketDocumentName = 'rocket.ork';
+
+// Marker appended to the name of every simulation given a wind profile, followed by the launch time.
+const windNamePrefix = ' (wind ';
+
+/**
+ * Wind and launch site written into a simulation's launch conditions.
+ * @typedef {object} LaunchConditions
+ * @property {string} validTime - Local time (ISO 8601 format) of the launch.
+ * @property {number} groundElevation - Elevation (in meters) of the launch site.
+ * @property {Array<WindAtAltitude>} windList - Ascending winds with altitudes in meters MSL.
+ * @property {number} standardDeviation - Standard deviation (in m/s) used for winds that do not have their own.
+ * @property {?GeoLocation} location - Coordinates of the launch site. Null leaves the simulation's coordinates alone.
+ */
+
+/**
+ * Find a direct child element by its tag name.
+ * @param {Element} parentElement - Element to search.
+ * @param {string} tagName - Tag name of the child.
+ * @returns {?Element} The first matching child. Null if there is none.
+ */
+function findChildElement(parentElement, tagName) {
+    for (const childElement of parentElement.children) {
+        if (childElement.tagName == tagName) {
+            return childElement;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Set the text of a direct child element, creating the child when it does not exist yet.
+ * @param {Element} parentElement - Element holding the child.
+ * @param {string} tagName - Tag name of the child.
+ * @param {string|number} value - Text of the child.
+ * @returns {Element} The updated child.
+ */
+function setChildText(parentElement, tagName, value) {
+    let childElement = findChildElement(parentElement, tagName);
+    if (null == childElement) {
+        childElement = parentElement.ownerDocument.createElement(tagName);
+        parentElement.append(childElement);
+    }
+
+    childElement.textContent = `${value}`;
+    return childElement;
+}
+
+/* Rocket design opened from an OpenRocket .ork file whose simulations can be given new launch conditions. */
+class OpenRocketDocument {
+    /**
+     * Every file of the original container, so decals and other attachments are saved again unchanged.
+     * @private
+     * @type {ZipArchive}
+     */
+    #archive = null;
+
+    /**
+     * The rocket design as an XML document.
+     * @private
+     * @type {XMLDocument}
+     */
+    #xmlDocument = null;
+
+    /**
+     * Initializes from an already parsed rocket design.
+     * @param {ZipArchive} archive - Files of the .ork container.
+     * @param {XMLDocument} xmlDocument - Rocket design held by the archive.
+     * @throws {TypeError} The document is not an OpenRocket design.
+     */
+    constructor(archive, xmlDocument) {
+        if (null == xmlDocument || null == xmlDocument.documentElement || 'openrocket' != xmlDocument.documentElement.tagName) {
+            throw new TypeError('The file is not an OpenRocket design.');
+        }
+
+        this.#archive = archive;
+        this.#xmlDocument = xmlDocument;
+    }
+
+    /**
+     * Read an .ork file. OpenRocket saves a ZIP archive, while older versions saved the XML document
+     * compressed with GZIP or as plain text. Every form is saved back as a ZIP archive.
+     * @param {Blob} rocketBlob - Contents of the .ork file.
+     * @returns {Promise<OpenRocketDocument>} The opened rocket design.
+     * @throws {Error} The file could not be read or is not an OpenRocket design.
+     */
+    static async fromBlob(rocketBlob) {
+        const signature = new Uint8Array(await rocketBlob.slice(0, 4).arrayBuffer());
+
+        let archive = null;
+        let documentBytes = null;
+        if (0x50 == signature[0] && 0x4B == signature[1] && 0x03 == signature[2] && 0x04 == signature[3]) {
+            archive = await ZipArchive.fromBlob(rocketBlob);
+            documentBytes = archive.getFile(rocketDocumentName);
+            if (null == documentBytes) {
+                const documentName = archive.fileNames.find((fileName) => fileName.toLowerCase().endsWith('.ork'));
+                if (null == documentName) {
+                    throw new Error('The .ork file does not contain a rocket design.');
+                }
+                documentBytes = archive.getFile(documentName);
+            }
+        } else {
+            archive = new ZipArchive();
+            if (0x1F == signature[0] && 0x8B == signature[1]) {
+                const documentStream = rocketBlob.stream().pipeThrough(new DecompressionStream('gzip'));
+                documentBytes = new Uint8Array(await new Response(documentStream).arrayBuffer());
+            } else {
+                documentBytes = new Uint8Array(await rocketBlob.arrayBuffer());
+            }
+        }
+
+        const xmlDocument = new DOMParser().parseFromString(new TextDecoder().decode(documentBytes), 'application/xml');
+        if (xmlDocument.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('The rocket design is not valid XML.');
+        }
+
+        return new OpenRocketDocument(archive, xmlDocument);
+    }
+
+    /**
+     * Get the simulation elements of the design in the order OpenRocket lists them.
+     * @private
+     * @returns {Array<Element>} Simulation elements.
+     */
+    #getSimulationElements() {
+        const simulationsElement = findChildElement(this.#xmlDocument.documentElement, 'simulations');
+        if (null == simulationsElement) {
+            return [];
+        }
+
+        return [...simulationsElement.children].filter((childElement) => 'simulation' == childElement.tagName);
+    }
+
+    /**
+     * Get the names of the design's simulations in the order OpenRocket lists them.
+     * @type {Array<string>}
+     */
+    get simulationNames() {
+        return this.#getSimulationElements().map((simulationElement, simulationIndex) => {
+            const nameElement = findChildElement(simulationElement, 'name');
+            return (null != nameElement && nameElement.textContent.length > 0) ? nameElement.textContent : `Simulation ${simulationIndex + 1}`;
+        });
+    }
+
+    /**
+     * Write the launch conditions into simulations of the design. When several launch conditions are
+     * provided (Ex: each hour of a launch window), every selected simulation is copied so each copy
+     * holds one of them. Updated simulations are marked as outdated so OpenRocket runs them again.
+     * @param {Array<number>} simulationIndices - Positions of the simulations within simulationNames.
+     * @param {Array<LaunchConditions>} launchConditionsList - Launch conditions in the order the copies are added.
+     * @returns {number} Number of simulations written.
+     */
+    setLaunchConditions(simulationIndices, launchConditionsList) {
+        const simulationElements = this.#getSimulationElements();
+
+        let simulationCount = 0;
+        for (const simulationIndex of simulationIndices) {
+            const simulationElement = simulationElements[simulationIndex];
+            if (null == simulationElement) {
+                continue;
+            }
+
+            // Copies are made before the original is changed so each starts from the user's own settings.
+            let targetElement = simulationElement;
+            for (let copyIndex = 1; copyIndex < launchConditionsList.length; ++copyIndex) {
+                const copyElement = simulationElement.cloneNode(true);
+                targetElement.after(copyElement);
+                targetElement = copyElement;
+            }
+
+            targetElement = simulationElement;
+            for (const launchConditions of launchConditionsList) {
+                this.#writeLaunchConditions(targetElement, launchConditions);
+                targetElement = targetElement.nextElementSibling;
+                ++simulationCount;
+            }
+        }
+
+        return simulationCount;
+    }
+
+    /**
+     * Replace the wind and launch site of a single simulation.
+     * @private
+     * @param {Element} simulationElement - Simulation to be updated.
+     * @param {LaunchConditions} launchConditions - Wind and launch site to write.
+     */
+    #writeLaunchConditions(simulationElement, launchConditions) {
+        simulationElement.setAttribute('status', 'outdated');
+
+        // OpenRocket has no launch date setting, so the launch time is recorded in the simulation's name.
+        const nameElement = findChildElement(simulationElement, 'name') ?? setChildText(simulationElement, 'name', '');
+        let simulationName = nameElement.textContent;
+        const markerIndex = simulationName.lastIndexOf(windNamePrefix);
+        if (markerIndex >= 0 && simulationName.endsWith(')')) {
+            simulationName = simulationName.slice(0, markerIndex);
+        }
+        nameElement.textContent = `${simulationName}${windNamePrefix}${launchConditions.validTime.slice(0, 16).replace('T', ' ')})`;
+
+        let conditionsElement = findChildElement(simulationElement, 'conditions');
+        if (null == conditionsElement) {
+            conditionsElement = this.#xmlDocument.createElement('conditions');
+            simulationElement.append(conditionsElement);
+        }
+
+        setChildText(conditionsElement, 'launchaltitude', launchConditions.groundElevation);
+        if (null != launchConditions.location) {
+            setChildText(conditionsElement, 'launchlatitude', launchConditions.location.latitude);
+            setChildText(conditionsElement, 'launchlongitude', launchConditions.location.longitude);
+        }
+
+        // OpenRocket measures wind levels from the ground and stores angles in radians.
+        let windLevels = [];
+        for (const wind of launchConditions.windList) {
+            const height = wind.altitude - launchConditions.groundElevation;
+            if (height < 0) {
+                continue;
+            }
+
+            windLevels.push({
+                altitude: height,
+                speed: wind.windSpeed,
+                direction: wind.windDirection * (Math.PI / 180.0),
+                standardDeviation: wind.standardDeviation ?? launchConditions.standardDeviation,
+            });
+        }
+        if (windLevels.length < 1) {
+            return;
+        }
+
+        // The lowest level doubles as the average wind for anyone switching back to OpenRocket's single wind.
+        const groundLevel = windLevels[0];
+
+        // OpenRocket 24.12 selects the wind model with <windmodeltype> and keeps both models side by side in
+        // <wind model="average"> and <wind model="multilevel"> elements, with the levels directly inside the latter.
+        setChildText(conditionsElement, 'windmodeltype', 'multilevel');
+
+        const windElements = [...conditionsElement.children].filter((childElement) => childElement.tagName == 'wind');
+        let averageElement = windElements.find((windElement) => windElement.getAttribute('model') == 'average');
+        if (null == averageElement) {
+            averageElement = this.#xmlDocument.createElement('wind');
+            averageElement.setAttribute('model', 'average');
+            setChildText(averageElement, 'speed', groundLevel.speed);
+            setChildText(averageElement, 'direction', groundLevel.direction);
+            setChildText(averageElement, 'standarddeviation', groundLevel.standardDeviation);
+            conditionsElement.append(averageElement);
+        }
+
+        for (const windElement of windElements) {
+            if (windElement != averageElement) {
+                windElement.remove();
+            }
+        }
+
+        const multiLevelElement = this.#xmlDocument.createElement('wind');
+        multiLevelElement.setAttribute('model', 'multilevel');
+        for (const windLevel of windLevels) {
+            const levelElement = this.#xmlDocument.createElement('windlevel');
+            levelElement.setAttribute('altitude', windLevel.altitude);
+            levelElement.setAttribute('speed', windLevel.speed);
+            levelElement.setAttribute('direction', windLevel.direction);
+            levelElement.setAttribute('standarddeviation', windLevel.standardDeviation);
+            multiLevelElement.append(levelElement);
+        }
+
+        averageElement.after(multiLevelElement);
+
+        // Designs from OpenRocket versions without multi-level wind only understand these settings.
+        if (null != findChildElement(conditionsElement, 'windaverage')) {
+            setChildText(conditionsElement, 'windaverage', groundLevel.speed);
+            setChildText(conditionsElement, 'windturbulence', (groundLevel.speed > 0) ? (groundLevel.standardDeviation / groundLevel.speed) : 0);
+            setChildText(conditionsElement, 'winddirection', groundLevel.direction);
+        }
+    }
+
+    /**
+     * Package the design, with any changed launch conditions, as an .ork file.
+     * @returns {Blob} The complete .ork file.
+     */
+    createBlob() {
+        const documentName = this.#archive.fileNames.find((fileName) => fileName.toLowerCase().endsWith('.ork')) ?? rocketDocumentName;
+
+        let documentText = new XMLSerializer().serializeToString(this.#xmlDocument);
+        if (!documentText.startsWith('<?xml')) {
+            documentText = `<?xml version='1.0' encoding='utf-8'?>\n${documentText}`;
+        }
+
+        this.#archive.addFile(documentName, documentText);
+        return this.#archive.createBlob();
+    }
+}
+
+export { OpenRocketDocument };
@@ -0,0 +1,64 @@
+import { WindAtAltitude } from "./wind.js";
+import { resampleWindList } from "./interpolation.js";
+
+/**
+ * Combine several wind profiles into a single profile. Every profile is interpolated onto the
+ * altitudes of the most detailed profile. Speeds are averaged directly while directions use the
+ * circular mean so bearings on either side of North average correctly. The spread of the speeds
+ * at each altitude is stored as that altitude's standard deviation.
+ * @param {Array<Array<WindAtAltitude>>} windLists - Ascending wind profiles sharing the same altitude reference.
+ * @returns {Array<WindAtAltitude>} Averaged profile. Empty if no profiles contained data.
+ */
+function averageWindLists(windLists) {
+    const usableLists = windLists.filter((windList) => windList.length > 0);
+    if (usableLists.length < 1) {
+        return [];
+    }
+
+    // Use the profile with the most entries as the common altitude grid.
+    let gridList = usableLists[0];
+    for (const windList of usableLists) {
+        if (windList.length > gridList.length) {
+            gridList = windList;
+        }
+    }
+
+    const gridAltitudes = gridList.map((gridWind) => gridWind.altitude);
+    const gridLists = usableLists.map((windList) => resampleWindList(windList, gridAltitudes));
+
+    let averagedList = [];
+    for (let gridIndex = 0; gridIndex < gridAltitudes.length; ++gridIndex) {
+        let speedSum = 0;
+        let northSum = 0;
+        let eastSum = 0;
+        let speeds = [];
+
+        for (const windList of gridLists) {
+            const wind = windList[gridIndex];
+            const directionRadians = wind.windDirection * (Math.PI / 180.0);
+
+            speedSum += wind.windSpeed;
+            northSum += Math.cos(directionRadians);
+            eastSum += Math.sin(directionRadians);
+            speeds.push(wind.windSpeed);
+        }
+
+        const meanSpeed = speedSum / speeds.length;
+
+        let meanDirection = Math.atan2(eastSum, northSum) * (180.0 / Math.PI);
+        if (meanDirection < 0.0) {
+            meanDirection += 360.0;
+        }
+
+        let varianceSum = 0;
+        for (const speed of speeds) {
+            varianceSum += (speed - meanSpeed) * (speed - meanSpeed);
+        }
+
+        averagedList.push(new WindAtAltitude(gridAltitudes[gridIndex], meanSpeed, meanDirection, Math.sqrt(varianceSum / speeds.length)));
+    }
+
+    return averagedList;
+}
+
+export { averageWindLists };
\ No newline at end of file
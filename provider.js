@@ -0,0 +1,91 @@
+/**
+ * Settings describing the wind data needed for a launch.
+ * @typedef {object} WindDataRequest
+ * @property {GeoLocation} location - Coordinates of the launch site.
+ * @property {LaunchTimeData} launchTimes - Date and hours of the launch window.
+ * @property {AbortSignal} [signal] - Signal used to cancel the request.
+ * @property {number} [timeoutSeconds] - Time allowed for each web request.
+ * @property {function(string)} [onStatus] - Called with progress messages meant for the user.
+ */
+
+/*
+ * Base class for every source of wind data. A provider obtains data in whatever format its source
+ * uses, then converts that data into WindProfile objects so the rest of the application never
+ * depends on where the winds came from. The raw data is kept separate from the profiles so it can
+ * be cached and saved to a file exactly as it was received.
+ */
+class WindDataProvider {
+    /**
+     * Get the name of the data source shown to the user.
+     * @type {string}
+     */
+    get name() {
+        return 'Wind data';
+    }
+
+    /**
+     * Get the number of hours into the future the source is able to cover.
+     * @type {number}
+     */
+    get maxLeadHours() {
+        return Infinity;
+    }
+
+    /**
+     * Get a note for the user about how the altitudes of the latest profiles were obtained.
+     * @type {string}
+     */
+    get altitudeNote() {
+        return '';
+    }
+
+    /**
+     * Check if the latest profiles hold the launch window from several past years instead of a forecast.
+     * @type {boolean}
+     */
+    get isClimatology() {
+        return false;
+    }
+
+    /**
+     * Describe any limit on the profiles the source can provide for a launch date, so it can be shown where the source is chosen.
+     * @param {Date} launchDate - Date of the launch.
+     * @returns {string} Note for the user. Empty when the source has no limit for that date.
+     */
+    getCoverageNote(launchDate) {
+        return '';
+    }
+
+    /**
+     * Describe the source and settings used for a launch. Data obtained with the same
+     * description can be reused from the forecast cache.
+     * @param {LaunchTimeData} launchTimes - Date and hours of the launch window.
+     * @returns {string} Description of the source (Ex: model names).
+     */
+    getSourceName(launchTimes) {
+        return this.name;
+    }
+
+    /**
+     * Obtain the raw wind data for a launch.
+     * @param {WindDataRequest} request - Launch details and request settings.
+     * @returns {Promise<object>} Data in the source's own format, ready for createProfiles().
+     * @throws {RequestError} The data could not be obtained.
+     * @throws {DOMException} AbortError when the request was cancelled.
+     */
+    async fetchData(request) {
+        throw new Error(`${this.name} does not support downloading wind data.`);
+    }
+
+    /**
+     * Convert raw wind data into wind profiles.
+     * @param {object} data - Data returned by fetchData() or loaded from a file.
+     * @returns {Array<WindProfile>} One profile per time, model, and ensemble member in the data.
+     * @throws {TypeError} The data is not in the source's format.
+     */
+    createProfiles(data) {
+        throw new Error(`${this.name} does not support reading wind data.`);
+    }
+}
+
+export { WindDataProvider };
@@ -0,0 +1,187 @@
+/* Describes a failed web request using any reason provided by the server. */
+class RequestError extends Error {
+    /**
+     * HTTP status code of the failed response. Zero when no response was received.
+     * @private
+     * @type {number}
+     */
+    #status = 0;
+
+    /**
+     * Explanation provided by the server in the body of its error response.
+     * @private
+     * @type {string}
+     */
+    #reason = '';
+
+    /**
+     * Initializes an error for a failed request.
+     * @param {string} message - Human readable description of the failure.
+     * @param {number} [status] - HTTP status code of the response.
+     * @param {string} [reason] - Explanation provided by the server.
+     */
+    constructor(message, status = 0, reason = '') {
+        super(message);
+        this.name = 'RequestError';
+        this.#status = status;
+        this.#reason = reason;
+    }
+
+    /**
+     * Get the HTTP status code of the failed response.
+     * @type {number}
+     */
+    get status() {
+        return this.#status;
+    }
+
+    /**
+     * Get the explanation provided by the server.
+     * @type {string}
+     */
+    get reason() {
+        return this.#reason;
+    }
+}
+
+/**
+ * Check if a failed response is likely to succeed when requested again.
+ * @param {number} status - HTTP status code of the response.
+ * @returns {boolean} True for rate limiting and server errors.
+ */
+function isRetryableStatus(status) {
+    return (429 == status) || (status >= 500 && status < 600);
+}
+
+/**
+ * Generate a human readable description of a failed response.
+ * @param {number} status - HTTP status code of the response.
+ * @param {string} reason - Explanation provided by the server. May be empty.
+ * @returns {string} Description of the failure.
+ */
+function describeFailedResponse(status, reason) {
+    if (reason.length > 0) {
+        return `The weather service rejected the request: ${reason}`;
+    }
+
+    if (429 == status) {
+        return 'The weather service is receiving too many requests. Please wait a minute and try again.';
+    } else if (status >= 500) {
+        return `The weather service is temporarily unavailable (status ${status}). Please try again later.`;
+    }
+
+    return `The weather service responded with status ${status}.`;
+}
+
+/**
+ * Wait before making another attempt at a request.
+ * @param {number} delayMs - Time to wait in milliseconds.
+ * @param {AbortSignal} [signal] - Signal that ends the wait early when the request is cancelled.
+ * @returns {Promise<void>} Resolves after the delay. Rejects with an AbortError if cancelled.
+ */
+function waitBeforeRetry(delayMs, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('The request was cancelled.', 'AbortError'));
+            return;
+        }
+
+        const onAbort = () => {
+            clearTimeout(retryTimer);
+            reject(new DOMException('The request was cancelled.', 'AbortError'));
+        };
+
+        const retryTimer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, delayMs);
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Fetch a JSON document with a time limit on each attempt and automatic retries for rate
+ * limiting and server errors. Retries wait for the server's Retry-After header when present,
+ * otherwise the delay doubles after every attempt.
+ * @param {string} url - Address of the JSON document.
+ * @param {object} [options] - Request settings.
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the request.
+ * @param {number} [options.timeoutSeconds] - Time allowed for each attempt.
+ * @param {number} [options.maxRetries] - Number of additional attempts after the first one fails.
+ * @param {number} [options.retryDelayMs] - Delay before the first retry.
+ * @param {function(number, number, string)} [options.onRetry] - Called with the attempt number, delay, and failure description before each retry.
+ * @returns {Promise<object>} The parsed JSON document.
+ * @throws {RequestError} The request failed, timed out, or returned an error status.
+ * @throws {DOMException} AbortError when the request was cancelled through the provided signal.
+ */
+async function fetchJSON(url, { signal = null, timeoutSeconds = 30, maxRetries = 3, retryDelayMs = 1000, onRetry = null } = {}) {
+    for (let attempt = 0; ; ++attempt) {
+        // Each attempt gets its own controller so a timeout does not cancel later attempts.
+        const attemptController = new AbortController();
+        let timedOut = false;
+        const timeoutTimer = setTimeout(() => {
+            timedOut = true;
+            attemptController.abort();
+        }, timeoutSeconds * 1000);
+
+        const onAbort = () => attemptController.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        let response = null;
+        let responseBody = null;
+        try {
+            response = await fetch(url, { signal: attemptController.signal });
+
+            // The body is read within the time limit as well since large forecasts can stall.
+            const responseText = await response.text();
+            try {
+                responseBody = JSON.parse(responseText);
+            } catch {
+                responseBody = null;
+            }
+        } catch (error) {
+            if (signal?.aborted) {
+                throw new DOMException('The request was cancelled.', 'AbortError');
+            }
+            if (timedOut) {
+                throw new RequestError(`The weather service did not respond within ${timeoutSeconds} seconds.`);
+            }
+            throw new RequestError(`Unable to reach the weather service: ${error.message}`);
+        } finally {
+            clearTimeout(timeoutTimer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+
+        if (response.ok) {
+            if (null == responseBody) {
+                throw new RequestError('The weather service returned data that could not be read.', response.status);
+            }
+            return responseBody;
+        }
+
+        // Error responses usually explain themselves with a reason field.
+        let reason = '';
+        if (null != responseBody && typeof responseBody.reason == 'string') {
+            reason = responseBody.reason;
+        }
+
+        const failureDescription = describeFailedResponse(response.status, reason);
+        if (!isRetryableStatus(response.status) || attempt >= maxRetries) {
+            throw new RequestError(failureDescription, response.status, reason);
+        }
+
+        let delayMs = retryDelayMs * Math.pow(2, attempt);
+        const retryAfterSeconds = parseFloat(response.headers?.get('Retry-After'));
+        if (!isNaN(retryAfterSeconds)) {
+            delayMs = retryAfterSeconds * 1000;
+        }
+
+        if (null != onRetry) {
+            onRetry(attempt + 1, delayMs, failureDescription);
+        }
+        await waitBeforeRetry(delayMs, signal);
+    }
+}
+
+export { RequestError, fetchJSON };
\ No newline at end of file
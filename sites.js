@@ -0,0 +1,245 @@
+import { GeoLocation } from "./geo.js";
+import { LaunchWaiver } from "./waiver.js";
+import { IndexedDBStore } from "./store.js";
+
+/**
+ * FAA waiver saved with a launch site.
+ * @typedef {object} SiteWaiver
+ * @property {?number} latitude - Latitude (in degrees) of the waiver's center.
+ * @property {?number} longitude - Longitude (in degrees) of the waiver's center.
+ * @property {?number} radius - Radius (in meters) of the waiver's circle.
+ * @property {number} ceiling - Ceiling (in meters) of the waiver.
+ * @property {string} ceilingReference - 'msl' or 'agl'.
+ */
+
+/**
+ * Launch site saved in the library.
+ * @typedef {object} LaunchSite
+ * @property {string} name - Unique name shown to the user.
+ * @property {number} latitude - Latitude (in degrees) of the launch site.
+ * @property {number} longitude - Longitude (in degrees) of the launch site.
+ * @property {?number} elevation - Elevation (in meters MSL) of the launch site. Null when it was not entered.
+ * @property {?SiteWaiver} waiver - FAA waiver of the launch site. Null when the site has none.
+ */
+
+// Identifies JSON documents exported from the launch site library.
+const siteListFormat = 'orwind-launch-sites';
+
+/* Stores the user's launch sites in this origin's IndexedDB so they can be picked again later. */
+class LaunchSiteLibrary {
+    /**
+     * Name of the IndexedDB database and object store holding the launch sites.
+     * @private
+     * @type {string}
+     */
+    static #storeName = 'ORWind_Sites';
+
+    /**
+     * Object store holding the launch sites by name.
+     * @private
+     * @type {IndexedDBStore}
+     */
+    #store = new IndexedDBStore(LaunchSiteLibrary.#storeName, 'name', 'launch site library');
+
+    /**
+     * Check a launch site and copy only the fields the library stores.
+     * @param {object} site - Launch site to be checked (Ex: an entry of an imported document).
+     * @returns {LaunchSite} The checked launch site with a trimmed name.
+     * @throws {TypeError} Missing name, invalid coordinates, an invalid elevation, or an invalid waiver.
+     */
+    static normalizeSite(site) {
+        if (null == site || typeof site.name != 'string' || site.name.trim().length < 1) {
+            throw new TypeError('Every launch site needs a name.');
+        }
+
+        const name = site.name.trim();
+        const latitude = Number(site.latitude);
+        const longitude = Number(site.longitude);
+        if (!GeoLocation.isValidLatitude(latitude)) {
+            throw new TypeError(`Invalid latitude for ${name}: ${site.latitude}`);
+        }
+        if (!GeoLocation.isValidLongitude(longitude)) {
+            throw new TypeError(`Invalid longitude for ${name}: ${site.longitude}`);
+        }
+
+        // Sites saved before elevations were supported have none.
+        const elevation = (null == site.elevation || '' === site.elevation) ? null : Number(site.elevation);
+        if (null != elevation && !Number.isFinite(elevation)) {
+            throw new TypeError(`Invalid elevation for ${name}: ${site.elevation}`);
+        }
+
+        return { name: name, latitude: latitude, longitude: longitude, elevation: elevation, waiver: LaunchSiteLibrary.#normalizeWaiver(name, site.waiver) };
+    }
+
+    /**
+     * Check the waiver of a launch site.
+     * @private
+     * @param {string} name - Name of the launch site, used in error messages.
+     * @param {?object} waiver - Waiver to be checked.
+     * @returns {?SiteWaiver} The checked waiver. Null when the site has none.
+     * @throws {TypeError} Invalid waiver.
+     */
+    static #normalizeWaiver(name, waiver) {
+        if (null == waiver) {
+            return null;
+        }
+
+        // The center is optional, but needs both coordinates when given.
+        const getOptionalNumber = (value) => (null == value || '' === value) ? null : Number(value);
+        const latitude = getOptionalNumber(waiver.latitude);
+        const longitude = getOptionalNumber(waiver.longitude);
+        if ((null == latitude) != (null == longitude) || (null != latitude && !(GeoLocation.isValidLatitude(latitude) && GeoLocation.isValidLongitude(longitude)))) {
+            throw new TypeError(`Invalid waiver center for ${name}: ${waiver.latitude}, ${waiver.longitude}`);
+        }
+
+        const checkedWaiver = {
+            latitude: latitude,
+            longitude: longitude,
+            radius: getOptionalNumber(waiver.radius),
+            ceiling: Number(waiver.ceiling),
+            ceilingReference: waiver.ceilingReference ?? 'msl',
+        };
+
+        try {
+            new LaunchWaiver(null, checkedWaiver.radius, checkedWaiver.ceiling, checkedWaiver.ceilingReference);
+        } catch (error) {
+            throw new TypeError(`${error.message} for ${name}`);
+        }
+
+        return checkedWaiver;
+    }
+
+    /**
+     * Read the launch sites from an exported JSON document. A plain array of sites is also accepted.
+     * @param {object|Array<object>} siteDocument - Parsed JSON document.
+     * @returns {Array<LaunchSite>} The checked launch sites.
+     * @throws {TypeError} The document does not hold a valid list of launch sites.
+     */
+    static parseSiteList(siteDocument) {
+        const sites = Array.isArray(siteDocument) ? siteDocument : siteDocument?.sites;
+        if (!Array.isArray(sites)) {
+            throw new TypeError('The file does not contain a list of launch sites.');
+        }
+
+        return sites.map((site) => LaunchSiteLibrary.normalizeSite(site));
+    }
+
+    /**
+     * Package launch sites as a JSON document others can import.
+     * @param {Array<LaunchSite>} sites - Launch sites to be shared.
+     * @returns {object} Document ready for JSON.stringify().
+     */
+    static createSiteList(sites) {
+        return { format: siteListFormat, version: 1, sites: sites.map((site) => LaunchSiteLibrary.normalizeSite(site)) };
+    }
+
+    /**
+     * Open (and create if necessary) the launch site database.
+     * @returns {Promise<boolean>} True if the database is ready. False if IndexedDB is unavailable.
+     */
+    async open() {
+        return this.#store.open();
+    }
+
+    /**
+     * Store a launch site, replacing any existing site with the same name.
+     * @param {LaunchSite} site - Launch site to be stored.
+     * @returns {Promise<boolean>} True if the site was stored.
+     * @throws {TypeError} Missing name or invalid coordinates.
+     */
+    async put(site) {
+        const checkedSite = LaunchSiteLibrary.normalizeSite(site);
+        if (!await this.open()) {
+            return false;
+        }
+
+        try {
+            await this.#store.runRequest('readwrite', (objectStore) => objectStore.put(checkedSite));
+            return true;
+        } catch (error) {
+            console.error(error);
+            return false;
+        }
+    }
+
+    /**
+     * Retrieve a single launch site.
+     * @param {string} name - Name of the launch site.
+     * @returns {Promise<LaunchSite>} The stored launch site. Null if not found.
+     */
+    async get(name) {
+        if (!await this.open()) {
+            return null;
+        }
+
+        try {
+            const site = await this.#store.runRequest('readonly', (objectStore) => objectStore.get(name));
+            return (undefined === site) ? null : site;
+        } catch (error) {
+            console.error(error);
+            return null;
+        }
+    }
+
+    /**
+     * Retrieve every stored launch site.
+     * @returns {Promise<Array<LaunchSite>>} Launch sites ordered by name.
+     */
+    async list() {
+        if (!await this.open()) {
+            return [];
+        }
+
+        try {
+            const sites = await this.#store.runRequest('readonly', (objectStore) => objectStore.getAll());
+            return sites.sort((siteA, siteB) => siteA.name.localeCompare(siteB.name));
+        } catch (error) {
+            console.error(error);
+            return [];
+        }
+    }
+
+    /**
+     * Remove a stored launch site.
+     * @param {string} name - Name of the launch site to be removed.
+     * @returns {Promise<boolean>} True if the site was removed.
+     */
+    async delete(name) {
+        if (!await this.open()) {
+            return false;
+        }
+
+        try {
+            await this.#store.runRequest('readwrite', (objectStore) => objectStore.delete(name));
+            return true;
+        } catch (error) {
+            console.error(error);
+            return false;
+        }
+    }
+
+    /**
+     * Give a stored launch site a new name.
+     * @param {string} oldName - Current name of the launch site.
+     * @param {string} newName - Name the launch site should have.
+     * @returns {Promise<boolean>} True if the site was renamed. False if it does not exist or the new name is taken.
+     * @throws {TypeError} Missing new name.
+     */
+    async rename(oldName, newName) {
+        const site = await this.get(oldName);
+        if (null == site) {
+            return false;
+        }
+
+        const renamedSite = LaunchSiteLibrary.normalizeSite({ ...site, name: newName });
+        if (renamedSite.name == oldName) {
+            return true;
+        } else if (null != await this.get(renamedSite.name)) {
+            return false;
+        }
+
+        return await this.put(renamedSite) && await this.delete(oldName);
+    }
+}
+
+export { LaunchSiteLibrary };
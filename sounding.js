@@ -0,0 +1,209 @@
+import { WindAtAltitude, WindProfile } from "./wind.js";
+import { WindDataProvider } from "./provider.js";
+
+// Converts speeds reported in knots into m/s.
+const metersPerSecondPerKnot = 0.514444;
+
+// Month abbreviations used in University of Wyoming sounding titles.
+const soundingMonthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format a UTC observation time the same way as every other wind profile time.
+ * @param {number} year - Four digit year.
+ * @param {number} month - Month (1 - 12).
+ * @param {number} day - Day of the month.
+ * @param {number} hour - Hour (0 - 23).
+ * @returns {string} Time in ISO 8601 format (YYYY-MM-DDTHH:00).
+ */
+function formatSoundingTime(year, month, day, hour) {
+    return `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}T${hour.toString().padStart(2, '0')}:00`;
+}
+
+/**
+ * Read every sounding from an IGRA2 station record. Each sounding starts with a header record
+ * (#STATIONID YYYY MM DD HH HHMM ...) followed by fixed width data records.
+ * @param {Array<string>} textLines - Lines of the file.
+ * @returns {Array<WindProfile>} One profile per sounding containing wind data.
+ */
+function parseIgra2Soundings(textLines) {
+    let windProfiles = [];
+    let validTime = '';
+    let groundElevation = null;
+    let windList = [];
+
+    const addProfile = () => {
+        if (windList.length > 0) {
+            // Fall back to the lowest report when the surface level is missing.
+            const profileElevation = (null != groundElevation) ? groundElevation : Math.min(...windList.map((wind) => wind.altitude));
+            windProfiles.push(new WindProfile(validTime, profileElevation, windList));
+        }
+    };
+
+    for (const textLine of textLines) {
+        if (textLine.startsWith('#')) {
+            addProfile();
+
+            // Soundings without a nominal hour use their release time (HHMM) instead.
+            let hour = parseInt(textLine.slice(24, 26));
+            if (isNaN(hour) || hour > 23) {
+                const releaseTime = parseInt(textLine.slice(27, 31));
+                hour = (isNaN(releaseTime) || releaseTime > 2359) ? 0 : Math.floor(releaseTime / 100);
+            }
+
+            validTime = formatSoundingTime(parseInt(textLine.slice(13, 17)), parseInt(textLine.slice(18, 20)), parseInt(textLine.slice(21, 23)), hour);
+            groundElevation = null;
+            windList = [];
+            continue;
+        }
+
+        if (validTime.length < 1 || textLine.length < 51) {
+            continue;
+        }
+
+        // Missing and removed values are reported as -9999 and -8888.
+        const height = parseInt(textLine.slice(16, 21));
+        if (isNaN(height) || height < -8000) {
+            continue;
+        }
+
+        // The second level type marks the surface.
+        if ('1' == textLine.charAt(1)) {
+            groundElevation = height;
+        }
+
+        const windDirection = parseInt(textLine.slice(40, 45));
+        const windSpeed = parseInt(textLine.slice(46, 51));
+        if (isNaN(windDirection) || windDirection < 0 || isNaN(windSpeed) || windSpeed < 0) {
+            continue;
+        }
+
+        // Speeds are stored in tenths of m/s.
+        windList.push(new WindAtAltitude(height, windSpeed / 10.0, windDirection));
+    }
+    addProfile();
+
+    return windProfiles;
+}
+
+/**
+ * Read every sounding from University of Wyoming TEXT:LIST output. Each sounding has a title
+ * (... Observations at 12Z 19 Oct 2026) followed by a table of right aligned columns.
+ * @param {Array<string>} textLines - Lines of the file.
+ * @returns {Array<WindProfile>} One profile per sounding containing wind data.
+ */
+function parseWyomingSoundings(textLines) {
+    let windProfiles = [];
+    let validTime = '';
+    let groundElevation = null;
+    let windList = [];
+    let columnEnds = null;
+
+    const addProfile = () => {
+        if (windList.length > 0) {
+            // Fall back to the lowest report when the station elevation is missing.
+            const profileElevation = (null != groundElevation) ? groundElevation : windList[0].altitude;
+            windProfiles.push(new WindProfile(validTime, profileElevation, windList));
+        }
+    };
+
+    for (const textLine of textLines) {
+        const titleMatch = textLine.match(/Observations at (\d{2})Z (\d{1,2}) (\w{3}) (\d{4})/);
+        if (null != titleMatch) {
+            addProfile();
+
+            const month = soundingMonthNames.indexOf(titleMatch[3]) + 1;
+            validTime = formatSoundingTime(parseInt(titleMatch[4]), Math.max(month, 1), parseInt(titleMatch[2]), parseInt(titleMatch[1]));
+            groundElevation = null;
+            windList = [];
+            columnEnds = null;
+            continue;
+        }
+
+        if (validTime.length < 1) {
+            continue;
+        }
+
+        const elevationMatch = textLine.match(/Station elevation:\s*(-?[\d.]+)/);
+        if (null != elevationMatch) {
+            groundElevation = parseFloat(elevationMatch[1]);
+            continue;
+        }
+
+        // The header row locates each column since every value is right aligned beneath its name.
+        if (/^\s*PRES\s+HGHT/.test(textLine)) {
+            columnEnds = new Map();
+            for (const columnMatch of textLine.matchAll(/\S+/g)) {
+                columnEnds.set(columnMatch[0], columnMatch.index + columnMatch[0].length);
+            }
+            continue;
+        }
+
+        if (null == columnEnds || !/^\s*\d/.test(textLine)) {
+            continue;
+        }
+
+        const readColumn = (columnName) => {
+            const columnEnd = columnEnds.get(columnName);
+            if (undefined === columnEnd) {
+                return NaN;
+            }
+            const columnStart = Math.max(...[...columnEnds.values()].filter((end) => end < columnEnd), 0);
+            return parseFloat(textLine.slice(columnStart, columnEnd));
+        };
+
+        const height = readColumn('HGHT');
+        const windDirection = readColumn('DRCT');
+        const windSpeed = readColumn('SKNT');
+        if (isNaN(height) || isNaN(windDirection) || isNaN(windSpeed)) {
+            continue;
+        }
+
+        windList.push(new WindAtAltitude(height, windSpeed * metersPerSecondPerKnot, windDirection));
+    }
+    addProfile();
+
+    return windProfiles;
+}
+
+/* Reads observed winds from radiosonde sounding files. Sounding times are in UTC. */
+class SoundingProvider extends WindDataProvider {
+    /**
+     * Get the name of the data source shown to the user.
+     * @type {string}
+     */
+    get name() {
+        return 'Radiosonde sounding';
+    }
+
+    /**
+     * Convert the text of a sounding file into wind profiles. University of Wyoming TEXT:LIST
+     * output and IGRA2 station records are recognized.
+     * @param {string} soundingText - Contents of the sounding file.
+     * @returns {Array<WindProfile>} One profile per sounding in the file.
+     * @throws {TypeError} The file is not a recognized sounding format or contains no winds.
+     */
+    createProfiles(soundingText) {
+        if (typeof soundingText != 'string') {
+            throw new TypeError('Sounding data must be text.');
+        }
+
+        const textLines = soundingText.split(/\r?\n/);
+
+        let windProfiles = [];
+        if (textLines.some((textLine) => /^#\w{11} \d{4} \d{2} \d{2}/.test(textLine))) {
+            windProfiles = parseIgra2Soundings(textLines);
+        } else if (textLines.some((textLine) => /^\s*PRES\s+HGHT/.test(textLine))) {
+            windProfiles = parseWyomingSoundings(textLines);
+        } else {
+            throw new TypeError('The file is not a University of Wyoming TEXT:LIST or IGRA2 sounding.');
+        }
+
+        if (windProfiles.length < 1) {
+            throw new TypeError('The sounding does not contain any wind reports.');
+        }
+
+        return windProfiles;
+    }
+}
+
+export { SoundingProvider };
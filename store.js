@@ -0,0 +1,115 @@
+/* Single IndexedDB object store kept in a database of the same name, so each kind of saved data can be versioned on its own. */
+class IndexedDBStore {
+    /**
+     * Name of the IndexedDB database and object store.
+     * @private
+     * @type {string}
+     */
+    #storeName = '';
+
+    /**
+     * Property of each record holding its key.
+     * @private
+     * @type {string}
+     */
+    #keyPath = '';
+
+    /**
+     * Record properties that are indexed when the object store is created.
+     * @private
+     * @type {Array<string>}
+     */
+    #indexNames = [];
+
+    /**
+     * What the store holds, used in error messages (Ex: 'forecast cache').
+     * @private
+     * @type {string}
+     */
+    #description = '';
+
+    /**
+     * The opened database. Null until open() succeeds.
+     * @private
+     * @type {IDBDatabase}
+     */
+    #database = null;
+
+    /**
+     * Initializes the store without opening the database.
+     * @param {string} storeName - Name of the IndexedDB database and object store.
+     * @param {string} keyPath - Property of each record holding its key.
+     * @param {string} description - What the store holds, used in error messages.
+     * @param {Array<string>} [indexNames] - Record properties to be indexed.
+     */
+    constructor(storeName, keyPath, description, indexNames = []) {
+        this.#storeName = storeName;
+        this.#keyPath = keyPath;
+        this.#description = description;
+        this.#indexNames = indexNames;
+    }
+
+    /**
+     * Open (and create if necessary) the database.
+     * @returns {Promise<boolean>} True if the database is ready. False if IndexedDB is unavailable.
+     */
+    async open() {
+        if (null != this.#database) {
+            return true;
+        }
+
+        if (!('indexedDB' in window)) {
+            return false;
+        }
+
+        return new Promise((resolve) => {
+            const openRequest = window.indexedDB.open(this.#storeName, 1);
+
+            // Create our object store since the database does not currently exist
+            openRequest.onupgradeneeded = (event) => {
+                const database = event.target.result;
+                const objectStore = database.createObjectStore(this.#storeName, { keyPath: this.#keyPath });
+                for (const indexName of this.#indexNames) {
+                    objectStore.createIndex(indexName, indexName, { unique: false });
+                }
+            };
+
+            openRequest.onsuccess = () => {
+                this.#database = openRequest.result;
+                resolve(true);
+            };
+
+            openRequest.onerror = (event) => {
+                console.error(`Error opening the ${this.#description}.`);
+                console.error(event);
+                resolve(false);
+            };
+        });
+    }
+
+    /**
+     * Run a single request against the object store. The database must already be open.
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite').
+     * @param {function(IDBObjectStore): IDBRequest} createRequest - Creates the request to be run.
+     * @returns {Promise<any>} Result of the request.
+     * @throws {Error} The request failed.
+     */
+    runRequest(mode, createRequest) {
+        return new Promise((resolve, reject) => {
+            try {
+                const objectStore = this.#database.transaction(this.#storeName, mode).objectStore(this.#storeName);
+                const request = createRequest(objectStore);
+                request.onsuccess = () => {
+                    resolve(request.result);
+                };
+                request.onerror = () => {
+                    reject(new Error(`Request to the ${this.#description} failed: ${request.error}`));
+                };
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+}
+
+export { IndexedDBStore };
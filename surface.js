@@ -0,0 +1,64 @@
+import { WindAtAltitude } from "./wind.js";
+
+/**
+ * Wind characteristics of a type of ground surface.
+ * @typedef {object} SurfaceTerrain
+ * @property {string} name - Description shown to the user.
+ * @property {number} roughnessLength - Aerodynamic roughness length (in meters) used by the log law.
+ * @property {number} powerExponent - Hellmann exponent used by the power law.
+ */
+
+/**
+ * Selectable launch site surfaces, from smoothest to roughest.
+ * @type {Array<SurfaceTerrain>}
+ */
+const surfaceTerrains = [
+    { name: 'Open water', roughnessLength: 0.0002, powerExponent: 0.10 },
+    { name: 'Desert lakebed', roughnessLength: 0.0005, powerExponent: 0.11 },
+    { name: 'Snow field', roughnessLength: 0.001, powerExponent: 0.12 },
+    { name: 'Mowed grass field', roughnessLength: 0.01, powerExponent: 0.14 },
+    { name: 'Tall grass or crops', roughnessLength: 0.05, powerExponent: 0.16 },
+    { name: 'Scrub or scattered bushes', roughnessLength: 0.2, powerExponent: 0.20 },
+    { name: 'Farmland with trees', roughnessLength: 0.4, powerExponent: 0.25 },
+];
+
+// Heights (in meters AGL) of the rows generated below the lowest reported wind.
+const surfaceLayerHeights = [0, 1, 2, 3, 5];
+
+/**
+ * Replace everything below the lowest useful wind with a modelled surface layer. The wind speed
+ * falls off toward the ground following either the logarithmic wind profile or the power law,
+ * while the direction matches the lowest reported wind.
+ * @param {Array<WindAtAltitude>} windList - Ascending winds with altitudes in meters MSL.
+ * @param {number} groundElevation - Elevation (in meters) of the launch site.
+ * @param {string} method - 'log' or 'power'.
+ * @param {SurfaceTerrain} terrain - Surface of the launch site.
+ * @returns {Array<WindAtAltitude>} Winds starting at ground level. The original list when no wind is reported above the modelled layer.
+ */
+function extrapolateSurfaceWinds(windList, groundElevation, method, terrain) {
+    const topLayerHeight = surfaceLayerHeights[surfaceLayerHeights.length - 1];
+    const referenceIndex = windList.findIndex((wind) => (wind.altitude - groundElevation) > topLayerHeight);
+    if (referenceIndex < 0) {
+        return windList;
+    }
+
+    const referenceWind = windList[referenceIndex];
+    const referenceHeight = referenceWind.altitude - groundElevation;
+
+    let surfaceWinds = [];
+    for (const height of surfaceLayerHeights) {
+        let speedRatio = 0;
+        if ('power' == method) {
+            speedRatio = Math.pow(height / referenceHeight, terrain.powerExponent);
+        } else if (height > terrain.roughnessLength) {
+            speedRatio = Math.log(height / terrain.roughnessLength) / Math.log(referenceHeight / terrain.roughnessLength);
+        }
+
+        surfaceWinds.push(new WindAtAltitude(groundElevation + height, referenceWind.windSpeed * speedRatio,
+                                             referenceWind.windDirection, referenceWind.standardDeviation, true));
+    }
+
+    return surfaceWinds.concat(windList.slice(referenceIndex));
+}
+
+export { surfaceTerrains, extrapolateSurfaceWinds };
@@ -0,0 +1,321 @@
+import { WindAtAltitude, WindProfile } from "./wind.js";
+import { WindDataProvider } from "./provider.js";
+
+// Mean radius of the Earth (in meters) used to convert coordinate changes into distances.
+const meanEarthRadius = 6371008.8;
+
+// Fixes further apart than this many seconds are not used to estimate the wind.
+const maxFixGapSeconds = 30;
+
+/**
+ * Position reported by a GPS receiver.
+ * @typedef {object} TrackFix
+ * @property {number} time - Time of the fix in milliseconds. Absolute (since the epoch) or relative to the log's start.
+ * @property {number} latitude - Latitude in degrees.
+ * @property {number} longitude - Longitude in degrees.
+ * @property {number} altitude - Altitude in meters MSL.
+ */
+
+/**
+ * Verify the checksum of an NMEA sentence when one is present.
+ * @param {string} sentence - Complete sentence starting with '$'.
+ * @returns {boolean} True if the checksum matches or the sentence does not have one.
+ */
+function isValidNmeaChecksum(sentence) {
+    const checksumIndex = sentence.indexOf('*');
+    if (checksumIndex < 0) {
+        return true;
+    }
+
+    let checksum = 0;
+    for (let charIndex = 1; charIndex < checksumIndex; ++charIndex) {
+        checksum ^= sentence.charCodeAt(charIndex);
+    }
+
+    return checksum == parseInt(sentence.slice(checksumIndex + 1, checksumIndex + 3), 16);
+}
+
+/**
+ * Convert an NMEA coordinate (degrees and decimal minutes) into decimal degrees.
+ * @param {string} value - Coordinate (Ex: 3250.123 or 09718.456).
+ * @param {string} hemisphere - N, S, E, or W.
+ * @returns {number} Signed decimal degrees. NaN if invalid.
+ */
+function parseNmeaCoordinate(value, hemisphere) {
+    const decimalIndex = value.indexOf('.');
+    const degreeDigits = ((decimalIndex < 0) ? value.length : decimalIndex) - 2;
+    const degrees = parseInt(value.slice(0, degreeDigits)) + (parseFloat(value.slice(degreeDigits)) / 60.0);
+
+    return ('S' == hemisphere || 'W' == hemisphere) ? -degrees : degrees;
+}
+
+/**
+ * Read the fixes from NMEA GGA sentences. GGA sentences only contain the time of day, so the
+ * date is taken from any RMC sentences in the log.
+ * @param {Array<string>} textLines - Lines of the log.
+ * @returns {{fixes: Array<TrackFix>, absolute: boolean}} Fixes and whether their times include a date.
+ */
+function parseNmeaTrack(textLines) {
+    let fixes = [];
+    let dateTime = NaN;
+    let dayOffset = 0;
+    let previousSeconds = -1;
+
+    for (const textLine of textLines) {
+        const sentence = textLine.trim();
+        if (!sentence.startsWith('$') || !isValidNmeaChecksum(sentence)) {
+            continue;
+        }
+
+        const fields = sentence.split('*')[0].split(',');
+        const sentenceType = fields[0].slice(3);
+
+        if ('RMC' == sentenceType && isNaN(dateTime) && fields.length > 9 && 6 == fields[9].length) {
+            const day = parseInt(fields[9].slice(0, 2));
+            const month = parseInt(fields[9].slice(2, 4));
+            const year = 2000 + parseInt(fields[9].slice(4, 6));
+            dateTime = Date.UTC(year, month - 1, day);
+        } else if ('GGA' == sentenceType && fields.length > 9) {
+            // A fix quality of zero means the receiver had no position.
+            if ('' == fields[6] || '0' == fields[6] || fields[1].length < 6) {
+                continue;
+            }
+
+            let seconds = (parseInt(fields[1].slice(0, 2)) * 3600) + (parseInt(fields[1].slice(2, 4)) * 60) + parseFloat(fields[1].slice(4));
+
+            // Keep the times increasing when the log runs past midnight UTC.
+            if (previousSeconds >= 0 && seconds + dayOffset < previousSeconds - 43200) {
+                dayOffset += 86400;
+            }
+            seconds += dayOffset;
+            previousSeconds = seconds;
+
+            fixes.push({
+                time: seconds * 1000,
+                latitude: parseNmeaCoordinate(fields[2], fields[3]),
+                longitude: parseNmeaCoordinate(fields[4], fields[5]),
+                altitude: parseFloat(fields[9]),
+            });
+        }
+    }
+
+    // The date only becomes known once an RMC sentence is found.
+    if (!isNaN(dateTime)) {
+        for (const fix of fixes) {
+            fix.time += dateTime;
+        }
+    }
+
+    return { fixes: fixes, absolute: !isNaN(dateTime) };
+}
+
+/**
+ * Read the fixes from a CSV log with a header row naming its time, latitude, longitude, and altitude columns.
+ * Times may be ISO 8601 date/times, Unix timestamps, times of day (HH:MM:SS), or elapsed seconds.
+ * Altitude columns whose name mentions feet are converted to meters.
+ * @param {Array<string>} textLines - Lines of the log.
+ * @returns {{fixes: Array<TrackFix>, absolute: boolean}} Fixes and whether their times include a date.
+ * @throws {TypeError} A required column is missing.
+ */
+function parseCsvTrack(textLines) {
+    const headerLine = textLines.find((textLine) => textLine.trim().length > 0) ?? '';
+    const separator = ['\t', ';', ','].find((candidate) => headerLine.includes(candidate)) ?? ',';
+    const columnNames = headerLine.split(separator).map((columnName) => columnName.trim().toLowerCase().replace(/^"|"$/g, ''));
+
+    const findColumn = (pattern) => columnNames.findIndex((columnName) => pattern.test(columnName));
+    const timeColumn = findColumn(/^(time|timestamp|datetime|date_time|utc|t|seconds|elapsed)(?![a-z])/);
+    const latitudeColumn = findColumn(/^(gps_)?lat(itude)?(?![a-z])/);
+    const longitudeColumn = findColumn(/^(gps_)?(lon|lng|long|longitude)(?![a-z])/);
+    const altitudeColumn = findColumn(/^(gps_)?(alt|altitude|height|elevation)(?![a-z])/);
+    if (timeColumn < 0 || latitudeColumn < 0 || longitudeColumn < 0 || altitudeColumn < 0) {
+        throw new TypeError('The flight log needs time, latitude, longitude, and altitude columns.');
+    }
+
+    const altitudeScale = /ft|feet/.test(columnNames[altitudeColumn]) ? 0.3048 : 1.0;
+
+    let fixes = [];
+    let absolute = true;
+    for (const textLine of textLines.slice(textLines.indexOf(headerLine) + 1)) {
+        const values = textLine.split(separator).map((value) => value.trim().replace(/^"|"$/g, ''));
+        if (values.length <= Math.max(timeColumn, latitudeColumn, longitudeColumn, altitudeColumn)) {
+            continue;
+        }
+
+        const timeValue = values[timeColumn];
+        let time = NaN;
+        if (/^\d+(\.\d+)?$/.test(timeValue)) {
+            // Large numbers are Unix timestamps in seconds or milliseconds. Small ones are elapsed seconds.
+            const numericTime = parseFloat(timeValue);
+            if (numericTime > 1e12) {
+                time = numericTime;
+            } else if (numericTime > 1e9) {
+                time = numericTime * 1000;
+            } else {
+                time = numericTime * 1000;
+                absolute = false;
+            }
+        } else if (/^\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(timeValue)) {
+            const timeParts = timeValue.split(':');
+            time = ((parseInt(timeParts[0]) * 3600) + (parseInt(timeParts[1]) * 60) + parseFloat(timeParts[2] ?? '0')) * 1000;
+            absolute = false;
+        } else {
+            time = Date.parse(timeValue);
+        }
+
+        fixes.push({
+            time: time,
+            latitude: parseFloat(values[latitudeColumn]),
+            longitude: parseFloat(values[longitudeColumn]),
+            altitude: parseFloat(values[altitudeColumn]) * altitudeScale,
+        });
+    }
+
+    return { fixes: fixes, absolute: absolute };
+}
+
+/**
+ * Format a time as a local ISO 8601 date and hour.
+ * @param {Date} date - Time to be formatted.
+ * @returns {string} Time in ISO 8601 format (YYYY-MM-DDTHH:00).
+ */
+function formatLocalHour(date) {
+    return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}-${date.getDate().toString().padStart(2, '0')}T${date.getHours().toString().padStart(2, '0')}:00`;
+}
+
+/*
+ * Estimates the winds a recovered rocket experienced from the GPS track it logged while descending
+ * under its parachute(s). The horizontal drift between consecutive fixes is taken as the wind since
+ * a parachute quickly matches the speed of the surrounding air, while the vertical descent is ignored.
+ */
+class FlightTrackProvider extends WindDataProvider {
+    /**
+     * Height (in meters) of each altitude bin the drift is averaged over.
+     * @private
+     * @type {number}
+     */
+    #binHeight = 100;
+
+    /**
+     * Time (ISO 8601 format: YYYY-MM-DDTHH:MM) used for the profile when the log does not include a date.
+     * @private
+     * @type {string}
+     */
+    #fallbackTime = '';
+
+    /**
+     * Initializes a provider for flight logs.
+     * @param {object} [options] - Conversion settings.
+     * @param {number} [options.binHeight] - Height (in meters) of each altitude bin.
+     * @param {string} [options.fallbackTime] - Profile time used when the log does not include a date.
+     */
+    constructor({ binHeight = 100, fallbackTime = '' } = {}) {
+        super();
+        this.#binHeight = (binHeight > 0) ? binHeight : 100;
+        this.#fallbackTime = fallbackTime;
+    }
+
+    /**
+     * Get the name of the data source shown to the user.
+     * @type {string}
+     */
+    get name() {
+        return 'Flight log';
+    }
+
+    /**
+     * Convert a GPS flight log into a wind profile.
+     * @param {string} logText - Contents of a CSV or NMEA log.
+     * @returns {Array<WindProfile>} A single profile with one wind per altitude bin the rocket descended through.
+     * @throws {TypeError} The log could not be read or does not contain a usable descent.
+     */
+    createProfiles(logText) {
+        if (typeof logText != 'string') {
+            throw new TypeError('Flight logs must be text.');
+        }
+
+        const textLines = logText.split(/\r?\n/);
+        const track = textLines.some((textLine) => /^\$..GGA,/.test(textLine.trim())) ? parseNmeaTrack(textLines) : parseCsvTrack(textLines);
+
+        const fixes = track.fixes.filter((fix) => !isNaN(fix.time) && !isNaN(fix.latitude) && !isNaN(fix.longitude) && !isNaN(fix.altitude));
+        fixes.sort((fixA, fixB) => fixA.time - fixB.time);
+        if (fixes.length < 2) {
+            throw new TypeError('The flight log does not contain enough GPS fixes.');
+        }
+
+        // Only the descent from apogee down to the landing site says anything about the wind.
+        let apogeeIndex = 0;
+        for (let fixIndex = 1; fixIndex < fixes.length; ++fixIndex) {
+            if (fixes[fixIndex].altitude > fixes[apogeeIndex].altitude) {
+                apogeeIndex = fixIndex;
+            }
+        }
+        let landingIndex = apogeeIndex;
+        for (let fixIndex = apogeeIndex + 1; fixIndex < fixes.length; ++fixIndex) {
+            if (fixes[fixIndex].altitude < fixes[landingIndex].altitude) {
+                landingIndex = fixIndex;
+            }
+        }
+        const groundElevation = fixes[landingIndex].altitude;
+
+        // Sum the drift within each altitude bin so longer segments carry more weight.
+        let altitudeBins = new Map();
+        for (let fixIndex = apogeeIndex + 1; fixIndex <= landingIndex; ++fixIndex) {
+            const upperFix = fixes[fixIndex - 1];
+            const lowerFix = fixes[fixIndex];
+            const elapsedSeconds = (lowerFix.time - upperFix.time) / 1000.0;
+            if (elapsedSeconds <= 0 || elapsedSeconds > maxFixGapSeconds) {
+                continue;
+            }
+
+            const meanLatitude = ((upperFix.latitude + lowerFix.latitude) / 2.0) * (Math.PI / 180.0);
+            const eastDistance = (lowerFix.longitude - upperFix.longitude) * (Math.PI / 180.0) * Math.cos(meanLatitude) * meanEarthRadius;
+            const northDistance = (lowerFix.latitude - upperFix.latitude) * (Math.PI / 180.0) * meanEarthRadius;
+
+            const binIndex = Math.floor((((upperFix.altitude + lowerFix.altitude) / 2.0) - groundElevation) / this.#binHeight);
+            if (!altitudeBins.has(binIndex)) {
+                altitudeBins.set(binIndex, { east: 0, north: 0, seconds: 0, speeds: [] });
+            }
+
+            const altitudeBin = altitudeBins.get(binIndex);
+            altitudeBin.east += eastDistance;
+            altitudeBin.north += northDistance;
+            altitudeBin.seconds += elapsedSeconds;
+            altitudeBin.speeds.push(Math.hypot(eastDistance, northDistance) / elapsedSeconds);
+        }
+
+        if (altitudeBins.size < 1) {
+            throw new TypeError('The flight log does not contain a descent with closely spaced GPS fixes.');
+        }
+
+        let windList = [];
+        for (const binIndex of [...altitudeBins.keys()].sort((indexA, indexB) => indexA - indexB)) {
+            const altitudeBin = altitudeBins.get(binIndex);
+            const eastSpeed = altitudeBin.east / altitudeBin.seconds;
+            const northSpeed = altitudeBin.north / altitudeBin.seconds;
+
+            // The rocket drifts downwind, so the wind comes from the opposite direction.
+            let windDirection = (Math.atan2(eastSpeed, northSpeed) * (180.0 / Math.PI)) + 180.0;
+            windDirection %= 360.0;
+
+            // The spread of the individual segments shows how steady the wind was within the bin.
+            let standardDeviation = null;
+            if (altitudeBin.speeds.length > 1) {
+                const meanSpeed = altitudeBin.speeds.reduce((speedSum, speed) => speedSum + speed, 0) / altitudeBin.speeds.length;
+                const varianceSum = altitudeBin.speeds.reduce((sum, speed) => sum + ((speed - meanSpeed) * (speed - meanSpeed)), 0);
+                standardDeviation = Math.sqrt(varianceSum / altitudeBin.speeds.length);
+            }
+
+            windList.push(new WindAtAltitude(groundElevation + ((binIndex + 0.5) * this.#binHeight),
+                                             Math.hypot(eastSpeed, northSpeed), windDirection, standardDeviation));
+        }
+
+        let validTime = this.#fallbackTime;
+        if (track.absolute || validTime.length < 13) {
+            validTime = formatLocalHour(new Date(track.absolute ? fixes[apogeeIndex].time : Date.now()));
+        }
+
+        return [new WindProfile(validTime, groundElevation, windList)];
+    }
+}
+
+export { FlightTrackProvider };
@@ -0,0 +1,149 @@
+import { WindAtAltitude } from "./wind.js";
+import { windToComponents, componentsToWind } from "./interpolation.js";
+
+// Altitudes (in meters MSL) of the climatological upper wind table.
+const upperWindAltitudes = [35000, 40000, 45000, 50000, 55000, 60000];
+
+// Latitudes (in degrees North) of the climatological upper wind table.
+const upperWindLatitudes = [0, 30, 60];
+
+/*
+ * Approximate monthly zonal mean zonal wind (in m/s, positive from the west) of the upper stratosphere,
+ * rounded to 5 m/s after the COSPAR International Reference Atmosphere (CIRA-86). Indexed by latitude,
+ * then month (January first), then altitude. The Southern Hemisphere uses the same values six months later.
+ */
+const upperWindTable = [
+    [   // Equator
+        [-20, -25, -30, -25, -20, -15],
+        [-15, -20, -20, -15, -10, -10],
+        [-10, -10, -5, 5, 5, 0],
+        [-10, -5, 5, 15, 10, 0],
+        [-15, -15, -10, 0, 0, -5],
+        [-15, -20, -25, -20, -15, -10],
+        [-15, -20, -25, -20, -15, -10],
+        [-15, -20, -20, -15, -10, -10],
+        [-10, -10, -5, 5, 5, 0],
+        [-10, -5, 5, 10, 5, -5],
+        [-15, -15, -15, -5, 0, -5],
+        [-20, -25, -30, -25, -20, -15],
+    ],
+    [   // 30 degrees
+        [20, 30, 40, 45, 45, 40],
+        [15, 25, 35, 40, 40, 35],
+        [10, 15, 20, 25, 25, 20],
+        [0, 0, 5, 5, 5, 0],
+        [-5, -15, -20, -25, -25, -25],
+        [-15, -25, -35, -40, -45, -45],
+        [-15, -25, -35, -45, -50, -50],
+        [-10, -20, -30, -35, -40, -40],
+        [-5, -5, -10, -10, -10, -10],
+        [5, 10, 15, 20, 20, 20],
+        [15, 25, 30, 35, 40, 35],
+        [20, 30, 40, 45, 45, 40],
+    ],
+    [   // 60 degrees
+        [30, 45, 55, 60, 60, 55],
+        [25, 40, 50, 55, 55, 50],
+        [15, 25, 30, 35, 35, 30],
+        [0, 5, 10, 10, 10, 5],
+        [-5, -10, -10, -15, -15, -10],
+        [-10, -15, -25, -30, -30, -25],
+        [-10, -20, -30, -35, -35, -30],
+        [-5, -15, -20, -25, -25, -20],
+        [0, 0, 0, 5, 5, 5],
+        [10, 20, 25, 30, 35, 35],
+        [20, 35, 45, 50, 55, 50],
+        [30, 45, 55, 60, 60, 55],
+    ],
+];
+
+// Spacing (in meters) of the rows appended above the top of a profile.
+const upperWindStep = 1000;
+
+// Distance (in meters) over which the appended rows blend from the top of the profile into the table.
+const upperWindTaperDepth = 5000;
+
+/**
+ * Find the position of a value between the entries of an ascending list.
+ * @param {Array<number>} values - Ascending values.
+ * @param {number} value - Value to locate. Clamped to the range of the list.
+ * @returns {{index: number, ratio: number}} Index of the entry below the value and the fraction of the way to the next entry.
+ */
+function locateTableValue(values, value) {
+    if (value <= values[0]) {
+        return { index: 0, ratio: 0 };
+    }
+
+    for (let valueIndex = 0; valueIndex < values.length - 1; ++valueIndex) {
+        if (value <= values[valueIndex + 1]) {
+            return { index: valueIndex, ratio: (value - values[valueIndex]) / (values[valueIndex + 1] - values[valueIndex]) };
+        }
+    }
+
+    return { index: values.length - 2, ratio: 1 };
+}
+
+/**
+ * Look up the climatological zonal wind for a location and time of year.
+ * @param {number} altitude - Altitude (in meters MSL). Clamped to the range of the table.
+ * @param {number} latitude - Latitude (in degrees).
+ * @param {number} month - Month (1 - 12).
+ * @returns {number} Eastward wind speed (in m/s). Negative values blow from the east.
+ */
+function getClimatologicalZonalWind(altitude, latitude, month) {
+    // The seasons are reversed in the Southern Hemisphere.
+    let monthIndex = (month - 1) % 12;
+    if (latitude < 0) {
+        monthIndex = (monthIndex + 6) % 12;
+    }
+
+    const latitudePosition = locateTableValue(upperWindLatitudes, Math.abs(latitude));
+    const altitudePosition = locateTableValue(upperWindAltitudes, altitude);
+
+    const getLatitudeWind = (latitudeIndex) => {
+        const altitudeWinds = upperWindTable[latitudeIndex][monthIndex];
+        return altitudeWinds[altitudePosition.index] + (altitudePosition.ratio * (altitudeWinds[altitudePosition.index + 1] - altitudeWinds[altitudePosition.index]));
+    };
+
+    const lowerWind = getLatitudeWind(latitudePosition.index);
+    const upperWind = getLatitudeWind(latitudePosition.index + 1);
+    return lowerWind + (latitudePosition.ratio * (upperWind - lowerWind));
+}
+
+/**
+ * Append modelled winds above the top of a profile up to the top of the climatological table.
+ * The appended winds blend from the highest wind of the profile into the climatological wind
+ * over the first few kilometers so there is no sudden jump, and every appended wind is flagged
+ * as modelled.
+ * @param {Array<WindAtAltitude>} windList - Ascending winds with altitudes in meters MSL.
+ * @param {number} latitude - Latitude (in degrees) of the launch site.
+ * @param {number} month - Month (1 - 12) of the launch.
+ * @returns {Array<WindAtAltitude>} Extended winds. The original list when it already reaches the top of the table.
+ */
+function extendUpperWinds(windList, latitude, month) {
+    if (windList.length < 1) {
+        return windList;
+    }
+
+    const topWind = windList[windList.length - 1];
+    const topComponents = windToComponents(topWind.windSpeed, topWind.windDirection);
+    const tableCeiling = upperWindAltitudes[upperWindAltitudes.length - 1];
+
+    let extendedList = [...windList];
+    for (let altitude = (Math.floor(topWind.altitude / upperWindStep) + 1) * upperWindStep; altitude <= tableCeiling; altitude += upperWindStep) {
+        // Smoothstep weighting keeps the blended wind's rate of change continuous at both ends of the taper.
+        const taperRatio = Math.min((altitude - topWind.altitude) / upperWindTaperDepth, 1.0);
+        const tableWeight = taperRatio * taperRatio * (3.0 - 2.0 * taperRatio);
+
+        // The climatological meridional wind is close to zero, so the table only holds the zonal wind.
+        const u = ((1.0 - tableWeight) * topComponents.u) + (tableWeight * getClimatologicalZonalWind(altitude, latitude, month));
+        const v = (1.0 - tableWeight) * topComponents.v;
+        const wind = componentsToWind(u, v);
+
+        extendedList.push(new WindAtAltitude(altitude, wind.speed, wind.direction, topWind.standardDeviation, true));
+    }
+
+    return extendedList;
+}
+
+export { extendUpperWinds };
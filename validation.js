@@ -0,0 +1,115 @@
+import { WindAtAltitude, WindProfile } from "./wind.js";
+import { windToComponents } from "./interpolation.js";
+
+// Altitude gap (in meters) between neighboring winds suggesting levels are missing.
+const maxLevelGap = 5000;
+
+// Altitude difference (in meters) below which two winds are considered to share a height.
+const duplicateAltitudeTolerance = 0.5;
+
+// Fastest wind speed (in m/s) considered physically plausible.
+const maxPlausibleSpeed = 150;
+
+// Change in wind velocity per meter of altitude (in 1/s) considered a sharp shear layer.
+const maxWindShear = 0.05;
+
+// Height (in meters AGL) of the surface layer, where friction with the ground normally causes strong shear.
+const surfaceLayerHeight = 150;
+
+// Largest standard deviation (in m/s) OpenRocket accepts.
+const maxStandardDeviation = 2.0;
+
+/**
+ * Problem found with one of the winds about to be saved.
+ * @typedef {object} WindWarning
+ * @property {?number} altitude - Altitude (in meters MSL) of the problem. Null when the source did not report one.
+ * @property {string} message - Description shown to the user.
+ */
+
+/**
+ * Check a finished list of winds for problems that would make the simulation misleading.
+ * @param {Array<WindAtAltitude>} windList - Winds in the order they will be saved, with altitudes in meters MSL.
+ * @param {number} groundElevation - Elevation (in meters) of the launch site.
+ * @returns {Array<WindWarning>} Problems in order of altitude. Empty when the winds look sound.
+ */
+function validateWindList(windList, groundElevation) {
+    let warnings = [];
+
+    if (windList.length < 2) {
+        warnings.push({ altitude: groundElevation, message: `Only ${windList.length} wind level${(1 == windList.length) ? ' is' : 's are'} available.` });
+        return warnings;
+    }
+
+    for (let windIndex = 0; windIndex < windList.length; ++windIndex) {
+        const wind = windList[windIndex];
+
+        if (wind.windSpeed < 0 || wind.windSpeed > maxPlausibleSpeed) {
+            warnings.push({ altitude: wind.altitude, message: `Implausible wind speed of ${wind.windSpeed.toFixed(1)} m/s.` });
+        }
+        if (wind.windDirection < 0 || wind.windDirection > 360) {
+            warnings.push({ altitude: wind.altitude, message: `Wind direction of ${wind.windDirection.toFixed(0)} degrees is outside 0 - 360.` });
+        }
+        if (null != wind.standardDeviation && (wind.standardDeviation < 0 || wind.standardDeviation > maxStandardDeviation)) {
+            warnings.push({ altitude: wind.altitude, message: `Standard deviation of ${wind.standardDeviation.toFixed(2)} m/s is outside the 0 - ${maxStandardDeviation} m/s OpenRocket allows in its wind settings.` });
+        }
+
+        if (0 == windIndex) {
+            continue;
+        }
+
+        const lowerWind = windList[windIndex - 1];
+        const altitudeDelta = wind.altitude - lowerWind.altitude;
+        if (Math.abs(altitudeDelta) < duplicateAltitudeTolerance) {
+            warnings.push({ altitude: wind.altitude, message: 'Duplicate altitude.' });
+            continue;
+        }
+
+        if (altitudeDelta > maxLevelGap) {
+            warnings.push({ altitude: lowerWind.altitude, message: `No wind for ${(altitudeDelta / 1000.0).toFixed(1)} km above this level. Levels may be missing.` });
+        }
+
+        // Winds are meant to change quickly near the ground, whether they were measured or modelled.
+        const inSurfaceLayer = ((lowerWind.altitude - groundElevation) < surfaceLayerHeight);
+        if (!inSurfaceLayer && !wind.isModelled && !lowerWind.isModelled) {
+            const lowerComponents = windToComponents(lowerWind.windSpeed, lowerWind.windDirection);
+            const upperComponents = windToComponents(wind.windSpeed, wind.windDirection);
+            const windShear = Math.hypot(upperComponents.u - lowerComponents.u, upperComponents.v - lowerComponents.v) / altitudeDelta;
+            if (windShear > maxWindShear) {
+                warnings.push({ altitude: lowerWind.altitude, message: `Sharp shear of ${(windShear * 1000.0).toFixed(0)} m/s per km up to the next level.` });
+            }
+        }
+    }
+
+    return warnings;
+}
+
+/**
+ * Check the levels the data source reported for the profiles behind a file. Profiles sort their winds,
+ * so levels that were missing or out of order can only be found from what the profiles recorded.
+ * @param {Array<WindProfile>} windProfiles - Profiles combined into a single file.
+ * @returns {Array<WindWarning>} Problems shared by several profiles (Ex: ensemble members) are only listed once.
+ */
+function validateProfileLevels(windProfiles) {
+    let warnings = new Map();
+    const addWarning = (altitude, message) => {
+        warnings.set(`${altitude}|${message}`, { altitude: altitude, message: message });
+    };
+
+    for (const windProfile of windProfiles) {
+        for (const skippedLevel of windProfile.skippedLevels) {
+            if ('crossed' == skippedLevel.reason) {
+                addWarning(skippedLevel.altitude, `The ${skippedLevel.name} wind lies above the lowest pressure level and was left out.`);
+            } else {
+                addWarning(skippedLevel.altitude, `No wind was reported for the ${skippedLevel.name} level.`);
+            }
+        }
+
+        for (const inversion of windProfile.inversions) {
+            addWarning(inversion.altitude, `Altitude is ${(inversion.previousAltitude - inversion.altitude).toFixed(0)} m below the previous level.`);
+        }
+    }
+
+    return [...warnings.values()];
+}
+
+export { maxStandardDeviation, validateWindList, validateProfileLevels };
@@ -0,0 +1,153 @@
+import { GeoLocation } from "./geo.js";
+import { WindAtAltitude } from "./wind.js";
+import { interpolateWind } from "./interpolation.js";
+
+// Depth (in meters) below the waiver ceiling checked for strong winds.
+const ceilingWindDepth = 1000;
+
+// Wind speed (in m/s) near the waiver ceiling considered strong enough to warn about.
+const strongCeilingWindSpeed = 15.0;
+
+/* Class storing the airspace granted by an FAA waiver for a launch site. */
+class LaunchWaiver {
+    /**
+     * Center of the waiver's circle. Null when not entered.
+     * @private
+     * @type {?GeoLocation}
+     */
+    #center = null;
+
+    /**
+     * Radius (in meters) of the waiver's circle. Null when not entered.
+     * @private
+     * @type {?number}
+     */
+    #radius = null;
+
+    /**
+     * Ceiling (in meters) of the waiver.
+     * @private
+     * @type {number}
+     */
+    #ceiling = 0;
+
+    /**
+     * Whether the ceiling is measured from sea level ('msl') or from the launch site ('agl').
+     * @private
+     * @type {string}
+     */
+    #ceilingReference = 'msl';
+
+    /**
+     * Initializes to the provided waiver.
+     * @param {?GeoLocation} center - Center of the waiver's circle.
+     * @param {?number} radius - Radius (in meters) of the waiver's circle.
+     * @param {number} ceiling - Ceiling (in meters) of the waiver.
+     * @param {string} [ceilingReference] - 'msl' or 'agl'.
+     * @throws {TypeError} Invalid radius/ceiling/ceilingReference.
+     */
+    constructor(center, radius, ceiling, ceilingReference = 'msl') {
+        if (null != radius && (isNaN(radius) || radius <= 0)) throw new TypeError(`Invalid waiver radius: ${radius}`);
+        if (isNaN(ceiling) || ceiling <= 0) throw new TypeError(`Invalid waiver ceiling: ${ceiling}`);
+        if ('msl' != ceilingReference && 'agl' != ceilingReference) throw new TypeError(`Invalid waiver ceiling reference: ${ceilingReference}`);
+
+        this.#center = center;
+        this.#radius = radius;
+        this.#ceiling = ceiling;
+        this.#ceilingReference = ceilingReference;
+    }
+
+    /**
+     * Get the center of the waiver's circle. Null if not known.
+     * @type {?GeoLocation}
+     */
+    get center() {
+        return this.#center;
+    }
+
+    /**
+     * Get the radius of the waiver's circle in meters. Null if not known.
+     * @type {?number}
+     */
+    get radius() {
+        return this.#radius;
+    }
+
+    /**
+     * Get the ceiling of the waiver in meters.
+     * @type {number}
+     */
+    get ceiling() {
+        return this.#ceiling;
+    }
+
+    /**
+     * Get the reference the ceiling is measured from ('msl' or 'agl').
+     * @type {string}
+     */
+    get ceilingReference() {
+        return this.#ceilingReference;
+    }
+
+    /**
+     * Calculate the altitude of the ceiling above sea level.
+     * @param {number} groundElevation - Elevation (in meters) of the launch site.
+     * @returns {number} Ceiling (in meters MSL).
+     */
+    getCeilingAltitude(groundElevation) {
+        return ('agl' == this.#ceilingReference) ? (groundElevation + this.#ceiling) : this.#ceiling;
+    }
+}
+
+/**
+ * Remove the winds above an altitude, ending the list with a wind interpolated to that altitude.
+ * @param {Array<WindAtAltitude>} windList - Ascending winds with altitudes in meters MSL.
+ * @param {number} cutoffAltitude - Highest altitude (in meters MSL) to keep.
+ * @param {string} [method] - 'linear' or 'cubic', used for the wind at the cutoff.
+ * @returns {Array<WindAtAltitude>} Winds up to the cutoff. The original list when it does not reach above the cutoff.
+ */
+function truncateWindList(windList, cutoffAltitude, method = 'linear') {
+    if (windList.length < 1 || windList[windList.length - 1].altitude <= cutoffAltitude) {
+        return windList;
+    }
+
+    const keptList = windList.filter((wind) => wind.altitude <= cutoffAltitude);
+    if (keptList.length < 1 || keptList[keptList.length - 1].altitude < cutoffAltitude) {
+        keptList.push(interpolateWind(windList, cutoffAltitude, method));
+    }
+
+    return keptList;
+}
+
+/**
+ * Find the strongest wind in the layer just below a waiver ceiling, where a rocket reaching apogee drifts the furthest.
+ * @param {Array<WindAtAltitude>} windList - Ascending winds with altitudes in meters MSL.
+ * @param {number} ceilingAltitude - Ceiling (in meters MSL) of the waiver.
+ * @returns {?WindAtAltitude} Strongest wind within 1000 m below the ceiling. Null if none reaches 15 m/s.
+ */
+function findStrongCeilingWind(windList, ceilingAltitude) {
+    if (windList.length < 1) {
+        return null;
+    }
+
+    // Include the winds at both edges of the layer so widely spaced levels cannot skip over it.
+    const lowestAltitude = windList[0].altitude;
+    const highestAltitude = windList[windList.length - 1].altitude;
+    let layerWinds = windList.filter((wind) => wind.altitude <= ceilingAltitude && wind.altitude >= (ceilingAltitude - ceilingWindDepth));
+    for (const edgeAltitude of [ceilingAltitude - ceilingWindDepth, ceilingAltitude]) {
+        if (edgeAltitude >= lowestAltitude && edgeAltitude <= highestAltitude) {
+            layerWinds.push(interpolateWind(windList, edgeAltitude));
+        }
+    }
+
+    let strongestWind = null;
+    for (const wind of layerWinds) {
+        if (wind.windSpeed >= strongCeilingWindSpeed && (null == strongestWind || wind.windSpeed > strongestWind.windSpeed)) {
+            strongestWind = wind;
+        }
+    }
+
+    return strongestWind;
+}
+
+export { LaunchWaiver, truncateWindList, findStrongCeilingWind };
@@ -21,22 +21,41 @@ class WindAtAltitude {
      */
     #windDirection = 0;
 
+    /**
+     * Standard deviation of the wind speed (in m/s). Null when no value was derived from the data.
+     * @private
+     * @type {?number}
+     */
+    #standardDeviation = null;
+
+    /**
+     * True when this wind was estimated by a model instead of coming from the forecast or observations.
+     * @private
+     * @type {boolean}
+     */
+    #isModelled = false;
+
     /**
      * Initializes to the provided wind speed and direction at the specified altitude.
-     * @param {number} alt - Altitude (in feet).
-     * @param {number} speed - Wind speed (in knots).
+     * @param {number} alt - Altitude (in meters).
+     * @param {number} speed - Wind speed (in m/s).
      * @param {number} dir - Wind direction (in degrees from North).
-     * @throws {TypeError} Invalid alt/speed/dir.
+     * @param {?number} [deviation] - Standard deviation of the wind speed (in m/s).
+     * @param {boolean} [modelled] - True when the wind was estimated by a model.
+     * @throws {TypeError} Invalid alt/speed/dir/deviation.
      */
-    constructor(alt, speed, dir) {
+    constructor(alt, speed, dir, deviation = null, modelled = false) {
         // Verify the provided values are all valid numbers
         if (isNaN(alt)) throw new TypeError(`Invalid wind altitude: ${alt}`);
         if (isNaN(speed)) throw new TypeError(`Invalid wind speed: ${speed}`);
         if (isNaN(dir)) throw new TypeError(`Invalid wind direction: ${dir}`);
+        if (null != deviation && isNaN(deviation)) throw new TypeError(`Invalid wind standard deviation: ${deviation}`);
 
         this.#altitude = alt;
         this.#windSpeed = speed;
         this.#windDirection = dir;
+        this.#standardDeviation = deviation;
+        this.#isModelled = modelled;
     }
 
     /**
@@ -62,7 +81,213 @@ class WindAtAltitude {
     get windDirection() {
         return this.#windDirection;
     }
+
+    /**
+     * Get the standard deviation of the wind's speed at this altitude. Null if not known.
+     * @type {?number}
+     */
+    get standardDeviation() {
+        return this.#standardDeviation;
+    }
+
+    /**
+     * Check whether this wind was estimated by a model instead of coming from the forecast or observations.
+     * @type {boolean}
+     */
+    get isModelled() {
+        return this.#isModelled;
+    }
+}
+
+/**
+ * Level a data source reported without using it in the profile.
+ * @typedef {object} SkippedLevel
+ * @property {string} name - Name of the level (Ex: 80 m or 250 hPa).
+ * @property {?number} altitude - Altitude (in meters MSL) of the level. Null when the source did not report it.
+ * @property {string} reason - 'missing' when the source had no wind for the level, 'crossed' when the level lies above a level meant to be higher.
+ */
+
+/**
+ * Wind reported below the wind listed before it.
+ * @typedef {object} LevelInversion
+ * @property {number} altitude - Altitude (in meters MSL) of the out of order wind.
+ * @property {number} previousAltitude - Altitude (in meters MSL) of the wind listed before it.
+ */
+
+/* Class storing the winds above a launch site at a single point in time. */
+class WindProfile {
+    /**
+     * Local time (ISO 8601 format: YYYY-MM-DDTHH:MM) the winds are valid for.
+     * @private
+     * @type {string}
+     */
+    #validTime = '';
+
+    /**
+     * Elevation (in meters) of the ground below the winds.
+     * @private
+     * @type {number}
+     */
+    #groundElevation = 0;
+
+    /**
+     * Winds sorted by ascending altitude (in meters MSL).
+     * @private
+     * @type {Array<WindAtAltitude>}
+     */
+    #winds = [];
+
+    /**
+     * Name of the weather model the winds came from. Empty when the source only has one.
+     * @private
+     * @type {string}
+     */
+    #model = '';
+
+    /**
+     * Name of the ensemble member the winds came from. Empty for deterministic data.
+     * @private
+     * @type {string}
+     */
+    #member = '';
+
+    /**
+     * Temperature, pressure, and humidity sorted by ascending altitude (in meters MSL). Empty when not reported.
+     * @private
+     * @type {Array<AtmosphereAtAltitude>}
+     */
+    #atmosphere = [];
+
+    /**
+     * Wind gust speed (in m/s) at 10 m AGL. Null when not reported.
+     * @private
+     * @type {?number}
+     */
+    #surfaceGust = null;
+
+    /**
+     * Levels the data source reported without them being used.
+     * @private
+     * @type {Array<SkippedLevel>}
+     */
+    #skippedLevels = [];
+
+    /**
+     * Winds the data source reported out of ascending order, before they were sorted.
+     * @private
+     * @type {Array<LevelInversion>}
+     */
+    #inversions = [];
+
+    /**
+     * Initializes a profile from a list of winds.
+     * @param {string} validTime - Local time in ISO 8601 format (YYYY-MM-DDTHH:MM).
+     * @param {number} groundElevation - Elevation of the ground (in meters).
+     * @param {Array<WindAtAltitude>} winds - Winds with altitudes in meters MSL. Sorted into ascending order.
+     * @param {string} [model] - Name of the weather model.
+     * @param {string} [member] - Name of the ensemble member.
+     * @param {Array<AtmosphereAtAltitude>} [atmosphere] - Atmospheric states with altitudes in meters MSL. Sorted into ascending order.
+     * @param {?number} [surfaceGust] - Wind gust speed (in m/s) at 10 m AGL.
+     * @param {Array<SkippedLevel>} [skippedLevels] - Levels the data source reported without them being used.
+     * @throws {TypeError} Invalid validTime/groundElevation/winds/atmosphere/surfaceGust/skippedLevels.
+     */
+    constructor(validTime, groundElevation, winds, model = '', member = '', atmosphere = [], surfaceGust = null, skippedLevels = []) {
+        if (typeof validTime != 'string' || validTime.length < 13) throw new TypeError(`Invalid profile time: ${validTime}`);
+        if (isNaN(groundElevation)) throw new TypeError(`Invalid ground elevation: ${groundElevation}`);
+        if (!Array.isArray(winds)) throw new TypeError('Profile winds must be an array.');
+        if (!Array.isArray(atmosphere)) throw new TypeError('Profile atmosphere must be an array.');
+        if (null != surfaceGust && isNaN(surfaceGust)) throw new TypeError(`Invalid surface gust: ${surfaceGust}`);
+        if (!Array.isArray(skippedLevels)) throw new TypeError('Profile skipped levels must be an array.');
+
+        this.#validTime = validTime;
+        this.#groundElevation = groundElevation;
+        this.#winds = [...winds].sort((windA, windB) => windA.altitude - windB.altitude);
+        this.#model = model;
+        this.#member = member;
+        this.#atmosphere = [...atmosphere].sort((stateA, stateB) => stateA.altitude - stateB.altitude);
+        this.#surfaceGust = surfaceGust;
+        this.#skippedLevels = [...skippedLevels];
+
+        // Remember the order the source reported the winds in, since sorting would hide any crossing levels.
+        for (let windIndex = 1; windIndex < winds.length; ++windIndex) {
+            if (winds[windIndex].altitude < winds[windIndex - 1].altitude) {
+                this.#inversions.push({ altitude: winds[windIndex].altitude, previousAltitude: winds[windIndex - 1].altitude });
+            }
+        }
+    }
+
+    /**
+     * Get the local time the winds are valid for.
+     * @type {string}
+     */
+    get validTime() {
+        return this.#validTime;
+    }
+
+    /**
+     * Get the elevation of the ground below the winds.
+     * @type {number}
+     */
+    get groundElevation() {
+        return this.#groundElevation;
+    }
+
+    /**
+     * Get the winds sorted by ascending altitude.
+     * @type {Array<WindAtAltitude>}
+     */
+    get winds() {
+        return this.#winds;
+    }
+
+    /**
+     * Get the name of the weather model the winds came from.
+     * @type {string}
+     */
+    get model() {
+        return this.#model;
+    }
+
+    /**
+     * Get the name of the ensemble member the winds came from.
+     * @type {string}
+     */
+    get member() {
+        return this.#member;
+    }
+
+    /**
+     * Get the atmospheric states sorted by ascending altitude.
+     * @type {Array<AtmosphereAtAltitude>}
+     */
+    get atmosphere() {
+        return this.#atmosphere;
+    }
+
+    /**
+     * Get the wind gust speed at 10 m AGL. Null if not known.
+     * @type {?number}
+     */
+    get surfaceGust() {
+        return this.#surfaceGust;
+    }
+
+    /**
+     * Get the levels the data source reported without them being used.
+     * @type {Array<SkippedLevel>}
+     */
+    get skippedLevels() {
+        return this.#skippedLevels;
+    }
+
+    /**
+     * Get the winds the data source reported out of ascending order.
+     * @type {Array<LevelInversion>}
+     */
+    get inversions() {
+        return this.#inversions;
+    }
 }
 
 // Export our class definitions
-export { WindAtAltitude };
\ No newline at end of file
+export { WindAtAltitude, WindProfile };
\ No newline at end of file
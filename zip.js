@@ -0,0 +1,237 @@
+/* Lookup table used to calculate the CRC-32 checksum of each archived file. */
+const crc32Table = (() => {
+    const table = new Uint32Array(256);
+    for (let tableIndex = 0; tableIndex < 256; ++tableIndex) {
+        let crc = tableIndex;
+        for (let bit = 0; bit < 8; ++bit) {
+            crc = (crc & 1) ? (0xEDB88320 ^ (crc >>> 1)) : (crc >>> 1);
+        }
+        table[tableIndex] = crc >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Calculate the CRC-32 checksum ZIP archives use to verify file contents.
+ * @param {Uint8Array} data - Bytes to be checked.
+ * @returns {number} Unsigned 32 bit checksum.
+ */
+function calculateCrc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of data) {
+        crc = crc32Table[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Decompress the raw deflate data of an archived file.
+ * @param {Uint8Array} data - Compressed bytes.
+ * @returns {Promise<Uint8Array>} Decompressed bytes.
+ */
+async function inflateRaw(data) {
+    const inflatedStream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(inflatedStream).arrayBuffer());
+}
+
+/* Collects files in memory and packages them as an uncompressed ZIP archive. */
+class ZipArchive {
+    /**
+     * Files added to this archive in the order they will be written.
+     * @private
+     * @type {Array<{fileName: string, name: Uint8Array, data: Uint8Array, crc: number, time: number, date: number}>}
+     */
+    #entries = [];
+
+    /**
+     * Read an existing ZIP archive so its files can be changed and packaged again.
+     * Files stored without compression or with deflate compression are supported.
+     * @param {Blob} archiveBlob - Contents of the ZIP archive.
+     * @returns {Promise<ZipArchive>} Archive holding every file of the original.
+     * @throws {Error} Not a ZIP archive or a file uses an unsupported compression method.
+     */
+    static async fromBlob(archiveBlob) {
+        const archiveBytes = new Uint8Array(await archiveBlob.arrayBuffer());
+        const archiveView = new DataView(archiveBytes.buffer);
+
+        // The end of central directory record is followed by a comment of up to 64 KiB.
+        let endOffset = -1;
+        for (let offset = archiveBytes.length - 22; offset >= Math.max(0, archiveBytes.length - 22 - 0xFFFF); --offset) {
+            if (0x06054B50 == archiveView.getUint32(offset, true)) {
+                endOffset = offset;
+                break;
+            }
+        }
+        if (endOffset < 0) {
+            throw new Error('The file is not a ZIP archive.');
+        }
+
+        const entryCount = archiveView.getUint16(endOffset + 10, true);
+        let centralOffset = archiveView.getUint32(endOffset + 16, true);
+
+        const archive = new ZipArchive();
+        const textDecoder = new TextDecoder();
+        for (let entryIndex = 0; entryIndex < entryCount; ++entryIndex) {
+            if (0x02014B50 != archiveView.getUint32(centralOffset, true)) {
+                throw new Error('The ZIP archive directory is damaged.');
+            }
+
+            // The central directory holds the sizes even when the local header defers them to a data descriptor.
+            const compressionMethod = archiveView.getUint16(centralOffset + 10, true);
+            const time = archiveView.getUint16(centralOffset + 12, true);
+            const date = archiveView.getUint16(centralOffset + 14, true);
+            const compressedSize = archiveView.getUint32(centralOffset + 20, true);
+            const nameLength = archiveView.getUint16(centralOffset + 28, true);
+            const extraLength = archiveView.getUint16(centralOffset + 30, true);
+            const commentLength = archiveView.getUint16(centralOffset + 32, true);
+            const localOffset = archiveView.getUint32(centralOffset + 42, true);
+            const fileName = textDecoder.decode(archiveBytes.subarray(centralOffset + 46, centralOffset + 46 + nameLength));
+            centralOffset += 46 + nameLength + extraLength + commentLength;
+
+            // Directories have no contents to carry over.
+            if (fileName.endsWith('/')) {
+                continue;
+            }
+
+            const dataOffset = localOffset + 30 + archiveView.getUint16(localOffset + 26, true) + archiveView.getUint16(localOffset + 28, true);
+            const storedData = archiveBytes.slice(dataOffset, dataOffset + compressedSize);
+
+            let data = null;
+            if (0 == compressionMethod) {
+                data = storedData;
+            } else if (8 == compressionMethod) {
+                data = await inflateRaw(storedData);
+            } else {
+                throw new Error(`${fileName} uses an unsupported compression method (${compressionMethod}).`);
+            }
+
+            const modifiedDate = new Date(1980 + (date >> 9), ((date >> 5) & 0x0F) - 1, date & 0x1F, time >> 11, (time >> 5) & 0x3F, (time & 0x1F) << 1);
+            archive.addFile(fileName, data, modifiedDate);
+        }
+
+        return archive;
+    }
+
+    /**
+     * Add a file to this archive. Replaces any file already added under the same name.
+     * @param {string} fileName - Name (and optional path) of the file within the archive.
+     * @param {string|Uint8Array} content - Contents of the file. Strings are stored as UTF-8.
+     * @param {Date} [modifiedDate] - Last modification time recorded for the file. Defaults to now.
+     * @throws {TypeError} Invalid file name.
+     */
+    addFile(fileName, content, modifiedDate = new Date()) {
+        if (typeof fileName != 'string' || fileName.length < 1) {
+            throw new TypeError(`Invalid archive file name: ${fileName}`);
+        }
+
+        const textEncoder = new TextEncoder();
+        const data = (typeof content == 'string') ? textEncoder.encode(content) : content;
+
+        // ZIP archives store timestamps in the MS-DOS format, which cannot represent years before 1980.
+        const year = Math.max(modifiedDate.getFullYear(), 1980);
+
+        const entry = {
+            fileName: fileName,
+            name: textEncoder.encode(fileName),
+            data: data,
+            crc: calculateCrc32(data),
+            time: (modifiedDate.getHours() << 11) | (modifiedDate.getMinutes() << 5) | (modifiedDate.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((modifiedDate.getMonth() + 1) << 5) | modifiedDate.getDate(),
+        };
+
+        const entryIndex = this.#entries.findIndex((existingEntry) => existingEntry.fileName == fileName);
+        if (entryIndex >= 0) {
+            this.#entries[entryIndex] = entry;
+        } else {
+            this.#entries.push(entry);
+        }
+    }
+
+    /**
+     * Get the contents of a file held by this archive.
+     * @param {string} fileName - Name (and optional path) of the file within the archive.
+     * @returns {?Uint8Array} Contents of the file. Null if the archive does not hold the file.
+     */
+    getFile(fileName) {
+        const entry = this.#entries.find((existingEntry) => existingEntry.fileName == fileName);
+        return (null != entry) ? entry.data : null;
+    }
+
+    /**
+     * Names of the files currently held by this archive in the order they will be written.
+     * @type {Array<string>}
+     */
+    get fileNames() {
+        return this.#entries.map((entry) => entry.fileName);
+    }
+
+    /**
+     * Number of files currently held by this archive.
+     * @type {number}
+     */
+    get fileCount() {
+        return this.#entries.length;
+    }
+
+    /**
+     * Package all added files into a ZIP archive.
+     * @returns {Blob} The complete archive.
+     */
+    createBlob() {
+        const archiveParts = [];
+        const centralDirectory = [];
+        let localOffset = 0;
+
+        for (const entry of this.#entries) {
+            // Local file header followed by the file's name and contents.
+            const localHeader = new DataView(new ArrayBuffer(30));
+            localHeader.setUint32(0, 0x04034B50, true);
+            localHeader.setUint16(4, 20, true);
+            localHeader.setUint16(6, 0x0800, true); // File names are UTF-8
+            localHeader.setUint16(8, 0, true); // Stored without compression
+            localHeader.setUint16(10, entry.time, true);
+            localHeader.setUint16(12, entry.date, true);
+            localHeader.setUint32(14, entry.crc, true);
+            localHeader.setUint32(18, entry.data.length, true);
+            localHeader.setUint32(22, entry.data.length, true);
+            localHeader.setUint16(26, entry.name.length, true);
+            localHeader.setUint16(28, 0, true);
+            archiveParts.push(localHeader, entry.name, entry.data);
+
+            // Matching central directory record pointing back to the local header.
+            const centralHeader = new DataView(new ArrayBuffer(46));
+            centralHeader.setUint32(0, 0x02014B50, true);
+            centralHeader.setUint16(4, 20, true);
+            centralHeader.setUint16(6, 20, true);
+            centralHeader.setUint16(8, 0x0800, true);
+            centralHeader.setUint16(10, 0, true);
+            centralHeader.setUint16(12, entry.time, true);
+            centralHeader.setUint16(14, entry.date, true);
+            centralHeader.setUint32(16, entry.crc, true);
+            centralHeader.setUint32(20, entry.data.length, true);
+            centralHeader.setUint32(24, entry.data.length, true);
+            centralHeader.setUint16(28, entry.name.length, true);
+            centralHeader.setUint32(42, localOffset, true);
+            centralDirectory.push(centralHeader, entry.name);
+
+            localOffset += localHeader.byteLength + entry.name.length + entry.data.length;
+        }
+
+        let centralDirectorySize = 0;
+        for (const part of centralDirectory) {
+            centralDirectorySize += part.byteLength;
+        }
+
+        // End of central directory record.
+        const endRecord = new DataView(new ArrayBuffer(22));
+        endRecord.setUint32(0, 0x06054B50, true);
+        endRecord.setUint16(8, this.#entries.length, true);
+        endRecord.setUint16(10, this.#entries.length, true);
+        endRecord.setUint32(12, centralDirectorySize, true);
+        endRecord.setUint32(16, localOffset, true);
+
+        return new Blob([...archiveParts, ...centralDirectory, endRecord], { type: 'application/zip' });
+    }
+}
+
+export { ZipArchive };
\ No newline at end of file